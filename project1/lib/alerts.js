@@ -0,0 +1,263 @@
+const nodemailer = require('nodemailer');
+const { getConfig } = require('./config');
+
+const DIGEST_FIELDS = ['title', 'company', 'location', 'applyLink', 'searchResult'];
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// SMTP settings for email alerts from the configuration (lib/config.js).
+// Point SMTP_HOST and SMTP_PORT at a local stand-in (e.g. MailHog on port
+// 1025) for testing.
+function getSmtpConfig() {
+  const { smtp, alerts } = getConfig().values;
+  return {
+    ...smtp,
+    from: alerts.emailFrom
+  };
+}
+
+function createDeliveryError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// Jobs from a run report that this saved search's query had not found before
+function selectNewJobs(report) {
+  return (report && report.jobs ? report.jobs : []).filter((job) => job.isNewForQuery);
+}
+
+// Digest of new postings as a JSON payload, a plain-text body and an HTML body
+function buildDigest(search, jobs, runId) {
+  const items = jobs.map((job) => {
+    const item = {};
+    DIGEST_FIELDS.forEach((field) => {
+      item[field] = job[field] || '';
+    });
+    return item;
+  });
+  const subject = `${items.length} new job${items.length === 1 ? '' : 's'} for "${search.name}"`;
+
+  const text = [
+    subject,
+    `Query: ${search.query}`,
+    '',
+    ...items.map((item, index) => [
+      `${index + 1}. ${item.title || 'Untitled job'}`,
+      `   Company      : ${item.company || 'N/A'}`,
+      `   Location     : ${item.location || 'N/A'}`,
+      `   Apply link   : ${item.applyLink || 'N/A'}`,
+      `   Search result: ${item.searchResult || 'N/A'}`
+    ].join('\n'))
+  ].join('\n');
+
+  const linkCell = (href) => (href ? `<a href="${escapeHtml(href)}">${escapeHtml(href)}</a>` : '—');
+  const html = `
+    <h2>${escapeHtml(subject)}</h2>
+    <p>Query: ${escapeHtml(search.query)}</p>
+    <table border="1" cellpadding="6" cellspacing="0">
+      <thead>
+        <tr><th>Title</th><th>Company</th><th>Location</th><th>Apply link</th><th>Search result</th></tr>
+      </thead>
+      <tbody>
+        ${items.map((item) => `
+        <tr>
+          <td>${escapeHtml(item.title) || '—'}</td>
+          <td>${escapeHtml(item.company) || '—'}</td>
+          <td>${escapeHtml(item.location) || '—'}</td>
+          <td>${linkCell(item.applyLink)}</td>
+          <td>${linkCell(item.searchResult)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+
+  return {
+    subject,
+    text,
+    html,
+    payload: {
+      savedSearch: {
+        id: search.id,
+        name: search.name,
+        query: search.query
+      },
+      runId,
+      generatedAt: new Date().toISOString(),
+      jobCount: items.length,
+      jobs: items
+    }
+  };
+}
+
+// POST the digest payload as JSON. 5xx, 429 and network errors are retryable.
+async function sendWebhook(url, payload, timeoutMs = 10000) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw createDeliveryError(`Webhook request failed: ${error.message}`, true);
+  }
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 429;
+    throw createDeliveryError(`Webhook responded with status ${response.status}`, retryable);
+  }
+}
+
+// Call `send` until it succeeds, waiting baseDelayMs, 2x, 4x, ... between
+// attempts. Errors flagged `retryable: false` stop immediately.
+async function deliverWithRetry(send, { attempts = 4, baseDelayMs = 2000 } = {}) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      await send();
+      return { attempts: attempt, error: null };
+    } catch (error) {
+      lastError = error;
+      if (error.retryable === false || attempt === attempts) {
+        return { attempts: attempt, error };
+      }
+      const delay = baseDelayMs * 2 ** (attempt - 1);
+      console.log(`Alert delivery failed (attempt ${attempt}): ${error.message}. Retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+  return { attempts, error: lastError };
+}
+
+// Sends new-job digests for saved searches to their webhook and email
+// targets and records every delivery (delivered or failed) on the search.
+function createAlertNotifier({
+  savedSearches,
+  smtp = getSmtpConfig(),
+  attempts = 4,
+  baseDelayMs = 2000
+}) {
+  let transport = null;
+  const getTransport = () => {
+    if (!smtp.host) {
+      throw createDeliveryError('SMTP is not configured (set SMTP_HOST)', false);
+    }
+    if (!transport) {
+      transport = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+      });
+    }
+    return transport;
+  };
+
+  const sendEmail = async (to, digest) => {
+    try {
+      await getTransport().sendMail({
+        from: smtp.from,
+        to: to.join(', '),
+        subject: digest.subject,
+        text: digest.text,
+        html: digest.html
+      });
+    } catch (error) {
+      if (error.retryable === false) {
+        throw error;
+      }
+      // 5xx SMTP replies are permanent; connection problems and 4xx are not
+      const permanent = typeof error.responseCode === 'number' && error.responseCode >= 500;
+      throw createDeliveryError(`Email delivery failed: ${error.message}`, !permanent);
+    }
+  };
+
+  const deliver = async (search, runId, channel, target, send, jobCount) => {
+    const result = await deliverWithRetry(send, { attempts, baseDelayMs });
+    const entry = {
+      runId,
+      channel,
+      target,
+      jobCount,
+      status: result.error ? 'failed' : 'delivered',
+      attempts: result.attempts,
+      error: result.error ? result.error.message : null,
+      finishedAt: new Date().toISOString()
+    };
+    savedSearches.recordAlertDelivery(search.id, entry);
+    if (result.error) {
+      console.log(`Alert ${channel} delivery to ${target} failed: ${result.error.message}`);
+    }
+    return entry;
+  };
+
+  // Deliver `jobs` to every target configured on the saved search
+  const sendDigest = async (search, jobs, runId) => {
+    const alerts = search.alerts || {};
+    const digest = buildDigest(search, jobs, runId);
+    const deliveries = [];
+    if (alerts.webhookUrl) {
+      deliveries.push(deliver(
+        search,
+        runId,
+        'webhook',
+        alerts.webhookUrl,
+        () => sendWebhook(alerts.webhookUrl, digest.payload),
+        jobs.length
+      ));
+    }
+    if (alerts.emailTo && alerts.emailTo.length) {
+      deliveries.push(deliver(
+        search,
+        runId,
+        'email',
+        alerts.emailTo.join(', '),
+        () => sendEmail(alerts.emailTo, digest),
+        jobs.length
+      ));
+    }
+    return Promise.all(deliveries);
+  };
+
+  // Called when a saved-search run finishes; only new postings are sent
+  const notifyRun = async (search, run) => {
+    if (run.status !== 'completed') {
+      return [];
+    }
+    const jobs = selectNewJobs(run.result);
+    if (!jobs.length) {
+      return [];
+    }
+    console.log(`Sending alerts for ${jobs.length} new jobs from saved search "${search.name}"`);
+    return sendDigest(search, jobs, run.id);
+  };
+
+  // Send a sample digest so targets can be checked without waiting for a run
+  const sendTestAlert = (search) => sendDigest(search, [{
+    title: 'Test alert',
+    company: 'Job Search Automation',
+    location: 'N/A',
+    applyLink: '',
+    searchResult: ''
+  }], null);
+
+  return {
+    notifyRun,
+    sendTestAlert
+  };
+}
+
+module.exports = {
+  selectNewJobs,
+  buildDigest,
+  sendWebhook,
+  deliverWithRetry,
+  createAlertNotifier
+};
@@ -0,0 +1,251 @@
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./job-store');
+const { dismissConsentIfPresent } = require('./browser');
+const { getConfig } = require('./config');
+
+// Detection of the pages Google shows instead of results: "unusual traffic"
+// CAPTCHAs, consent walls and sign-in interstitials. Navigation steps call
+// checkForBlock; a block that does not clear fails the run with a
+// GOOGLE_BLOCKED error carrying a screenshot, and starts a cooldown during
+// which new browser runs are refused (BLOCK_COOLDOWN).
+
+const BLOCK_KINDS = ['captcha', 'consent', 'sign-in'];
+const BLOCK_SCREENSHOT_DIR = path.join(__dirname, '..', 'output', 'blocks');
+const DEFAULT_COOLDOWN_PATH = path.join(DATA_DIR, 'block-cooldown.json');
+// How long a headful run waits for someone to solve the challenge
+const DEFAULT_PAUSE_TIMEOUT_MS = 5 * 60 * 1000;
+const PAUSE_POLL_MS = 2000;
+
+// Runs inside the page (self-contained): kind of interstitial shown, if any
+function inspectPage() {
+  // Result pages can mention any of the phrases below
+  if (document.querySelector('#search, #rso')) {
+    return null;
+  }
+  const text = (document.body?.innerText || '').slice(0, 5000);
+  if (
+    document.querySelector('#captcha-form, form[action*="sorry"], iframe[src*="recaptcha"], .g-recaptcha') ||
+    /unusual traffic from your computer network|not a robot/i.test(text)
+  ) {
+    return { kind: 'captcha', reason: 'CAPTCHA or unusual traffic page' };
+  }
+  if (
+    document.querySelector('form[action*="consent.google"], form[action*="/save"][action*="consent"]') ||
+    /before you continue to google/i.test(text)
+  ) {
+    return { kind: 'consent', reason: 'consent wall' };
+  }
+  if (
+    document.querySelector('form#gaia_loginform, input[type="email"][name="identifier"]') ||
+    /sign in to continue to|to continue, sign in/i.test(text)
+  ) {
+    return { kind: 'sign-in', reason: 'sign-in interstitial' };
+  }
+  return null;
+}
+
+// { kind, reason, url } when `page` shows a block page, otherwise null
+async function detectBlockPage(page) {
+  const url = page.url();
+  if (/^https:\/\/(www\.)?google\.[a-z.]+\/sorry\//.test(url)) {
+    return { kind: 'captcha', reason: 'redirected to the /sorry/ page', url };
+  }
+  if (/^https:\/\/consent\.google\./.test(url)) {
+    return { kind: 'consent', reason: 'redirected to the consent page', url };
+  }
+  if (/^https:\/\/accounts\.google\.[a-z.]+\/(ServiceLogin|signin|v3\/signin)/.test(url)) {
+    return { kind: 'sign-in', reason: 'redirected to sign in', url };
+  }
+  try {
+    const found = await page.evaluate(inspectPage);
+    return found ? { ...found, url } : null;
+  } catch (error) {
+    // A page that is navigating away cannot be inspected; treat as clear
+    return null;
+  }
+}
+
+function createBlockedError(block) {
+  const error = new Error(`Google blocked the run at "${block.step}": ${block.reason}`);
+  error.code = 'GOOGLE_BLOCKED';
+  error.details = block;
+  return error;
+}
+
+function createCooldownError(cooldown) {
+  const error = new Error(`Browser runs are paused after a Google block until ${cooldown.until}`);
+  error.code = 'BLOCK_COOLDOWN';
+  error.details = cooldown;
+  return error;
+}
+
+// Cooldown after a block, kept in a small JSON file so CLI runs and the API
+// server see the same state:
+//   { until, kind, step, runId, startedAt }
+function createBlockCooldown(filePath = DEFAULT_COOLDOWN_PATH) {
+  const read = () => {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.log(`Ignoring unreadable block cooldown file: ${error.message}`);
+      return null;
+    }
+  };
+
+  // Active cooldown or null
+  const getActive = (now = Date.now()) => {
+    const cooldown = read();
+    return cooldown && Date.parse(cooldown.until) > now ? cooldown : null;
+  };
+
+  const start = (block, { durationMs = getConfig().values.blocking.cooldownMs, now = Date.now() } = {}) => {
+    const cooldown = {
+      until: new Date(now + durationMs).toISOString(),
+      kind: block.kind,
+      step: block.step,
+      runId: block.runId || null,
+      startedAt: new Date(now).toISOString()
+    };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(cooldown, null, 2));
+    return cooldown;
+  };
+
+  const clear = () => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  };
+
+  return {
+    filePath,
+    getActive,
+    start,
+    clear
+  };
+}
+
+let defaultBlockCooldown = null;
+function getDefaultBlockCooldown() {
+  if (!defaultBlockCooldown) {
+    defaultBlockCooldown = createBlockCooldown();
+  }
+  return defaultBlockCooldown;
+}
+
+async function saveBlockScreenshot(context, page, step) {
+  const { options, report } = context;
+  const dir = path.join(options.blockScreenshotDir || BLOCK_SCREENSHOT_DIR, report.runId);
+  const screenshotPath = path.join(dir, `${step}.png`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    return screenshotPath;
+  } catch (error) {
+    console.log(`Failed to save block screenshot: ${error.message}`);
+    return null;
+  }
+}
+
+// Start the cooldown for `block` ({ kind, step }) unless the run turned
+// cooldowns off (`blockCooldown: false`). Returns the cooldown or null.
+function startBlockCooldown(context, block) {
+  const { options, report } = context;
+  if (options.blockCooldown === false) {
+    return null;
+  }
+  const cooldown = (options.blockCooldown || getDefaultBlockCooldown()).start(
+    { runId: report.runId, ...block },
+    { durationMs: options.blockCooldownMs || getConfig().values.blocking.cooldownMs }
+  );
+  console.log(`Browser runs paused until ${cooldown.until}`);
+  return cooldown;
+}
+
+// Wait for a person to clear the block in the visible browser window.
+// Returns true once the page is clear, false on timeout or cancellation.
+async function waitForHuman(context, page, block) {
+  const timeoutMs = context.options.pauseTimeoutMs || DEFAULT_PAUSE_TIMEOUT_MS;
+  console.log(`Google shows a ${block.reason}. Solve it in the browser window within ${Math.round(timeoutMs / 1000)} seconds to continue.`);
+  context.reportProgress('blocked-waiting', `Waiting for the ${block.kind} page to be solved`, {
+    kind: block.kind,
+    step: block.step,
+    timeoutMs
+  });
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (context.signal && context.signal.aborted) {
+      return false;
+    }
+    await new Promise((resolve) => setTimeout(resolve, PAUSE_POLL_MS));
+    if (!(await detectBlockPage(page))) {
+      console.log('Block cleared. Resuming the run.');
+      context.reportProgress('block-cleared', `The ${block.kind} page was solved`, { step: block.step });
+      return true;
+    }
+  }
+  return false;
+}
+
+// Check `page` after the navigation step `step`. Consent walls are
+// dismissed first; in a headful run with `pauseOnBlock` the run waits for a
+// person to solve the page. A block that remains is recorded in
+// report.block, starts the cooldown and is thrown as GOOGLE_BLOCKED.
+async function checkForBlock(context, page, step) {
+  let block = await detectBlockPage(page);
+  if (block && block.kind === 'consent') {
+    await dismissConsentIfPresent(page);
+    await page.waitForTimeout(1000);
+    block = await detectBlockPage(page);
+  }
+  if (!block) {
+    return;
+  }
+  const { options, report } = context;
+  block = { ...block, step, runId: report.runId };
+  if (options.pauseOnBlock && !options.useHeadless && await waitForHuman(context, page, block)) {
+    return;
+  }
+
+  const screenshotPath = await saveBlockScreenshot(context, page, step);
+  const cooldown = startBlockCooldown(context, block);
+  report.block = {
+    kind: block.kind,
+    reason: block.reason,
+    step,
+    url: block.url,
+    screenshotPath,
+    cooldownUntil: cooldown ? cooldown.until : null,
+    detectedAt: new Date().toISOString()
+  };
+  console.log(`Blocked by Google (${block.reason}) at ${step}. Screenshot: ${screenshotPath || 'not saved'}`);
+  throw createBlockedError(report.block);
+}
+
+// Wait for `selector` after a navigation; when it does not show up, a block
+// page is the likely reason and is reported as such (otherwise the timeout
+// error is rethrown)
+async function waitForSelectorOrBlock(context, page, selector, step, { timeout = context.options.config.timeouts.selectorMs } = {}) {
+  try {
+    await page.waitForSelector(selector, { timeout });
+  } catch (error) {
+    await checkForBlock(context, page, step);
+    throw error;
+  }
+}
+
+module.exports = {
+  BLOCK_KINDS,
+  BLOCK_SCREENSHOT_DIR,
+  detectBlockPage,
+  createBlockCooldown,
+  getDefaultBlockCooldown,
+  createCooldownError,
+  startBlockCooldown,
+  checkForBlock,
+  waitForSelectorOrBlock
+};
@@ -0,0 +1,234 @@
+const { createCancelledError } = require('./pipeline');
+
+// Bounded pool of reusable Chrome instances.
+// At most `size` browsers exist at once; callers beyond that wait in a FIFO
+// queue and are told their position through `onQueuePosition` whenever it
+// changes. Browsers left idle for `idleTimeoutMs` are closed, and browsers
+// that disconnect (crash or are closed) are dropped so a new one can launch.
+// `launch()` must resolve to { browser, profile }.
+// Callers that launch their own Chrome for a profile acquire with
+// `userDataDir` instead: they get a slot counted against `size` but no
+// browser, and wait while another run (or an idle pooled browser, which is
+// closed for them) uses the same user data directory, since Chrome locks it.
+function createBrowserPool({ launch, size = 1, idleTimeoutMs = 5 * 60 * 1000 }) {
+  const entries = [];
+  const waiters = [];
+  // User data directories of the slots held by own-profile runs
+  const reserved = [];
+  let launching = 0;
+
+  const notifyPositions = () => {
+    waiters.forEach((waiter, index) => {
+      if (typeof waiter.onQueuePosition === 'function') {
+        waiter.onQueuePosition(index + 1);
+      }
+    });
+  };
+
+  const removeEntry = (entry) => {
+    clearTimeout(entry.idleTimer);
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+  };
+
+  const scheduleIdleClose = (entry) => {
+    clearTimeout(entry.idleTimer);
+    if (idleTimeoutMs <= 0) {
+      return;
+    }
+    entry.idleTimer = setTimeout(async () => {
+      if (entry.busy) {
+        return;
+      }
+      removeEntry(entry);
+      console.log('Closing idle pooled browser.');
+      await entry.browser.close().catch(() => {});
+    }, idleTimeoutMs);
+    if (entry.idleTimer.unref) {
+      entry.idleTimer.unref();
+    }
+  };
+
+  const createLease = (entry) => {
+    clearTimeout(entry.idleTimer);
+    entry.busy = true;
+    return {
+      browser: entry.browser,
+      profile: entry.profile,
+      entry
+    };
+  };
+
+  // Every launch is for a caller, so the entry starts out busy: nobody
+  // else can take it before the caller's lease is created
+  const launchEntry = async () => {
+    launching++;
+    try {
+      const { browser, profile } = await launch();
+      const entry = {
+        browser,
+        profile: profile || null,
+        userDataDir: profile ? profile.userDataDir : null,
+        busy: true,
+        idleTimer: null
+      };
+      entries.push(entry);
+      browser.on('disconnected', () => {
+        removeEntry(entry);
+        // A crashed browser frees a slot for whoever is waiting
+        dispatch();
+      });
+      return entry;
+    } finally {
+      launching--;
+    }
+  };
+
+  const hasCapacity = () => entries.length + launching + reserved.length < size;
+  const findIdleEntry = () => entries.find((entry) => !entry.busy && entry.browser.isConnected());
+
+  const closeEntry = (entry) => {
+    removeEntry(entry);
+    entry.browser.close().catch(() => {});
+  };
+
+  // Serve one waiter if possible: true when served, 'blocked' when only its
+  // user data directory is in use, false when the pool is full
+  const serve = (waiter) => {
+    if (waiter.userDataDir) {
+      const sameDir = entries.filter((entry) => entry.userDataDir === waiter.userDataDir);
+      if (reserved.includes(waiter.userDataDir) || sameDir.some((entry) => entry.busy)) {
+        return 'blocked';
+      }
+      sameDir.forEach(closeEntry);
+      const idle = findIdleEntry();
+      if (!hasCapacity() && idle) {
+        // An idle pooled browser gives its slot to the own-profile run
+        closeEntry(idle);
+      }
+      if (!hasCapacity()) {
+        return false;
+      }
+      reserved.push(waiter.userDataDir);
+      waiter.resolve({ browser: null, profile: null, entry: null, userDataDir: waiter.userDataDir });
+      return true;
+    }
+    const idle = findIdleEntry();
+    if (idle) {
+      waiter.resolve(createLease(idle));
+      return true;
+    }
+    if (hasCapacity()) {
+      launchEntry()
+        .then((entry) => waiter.resolve(createLease(entry)))
+        .catch((error) => waiter.reject(error));
+      return true;
+    }
+    return false;
+  };
+
+  // Hand idle browsers or free slots to queued callers, oldest first. A
+  // caller waiting for a user data directory in use does not hold up the
+  // ones behind it.
+  const dispatch = () => {
+    for (let index = 0; index < waiters.length;) {
+      const waiter = waiters[index];
+      const served = serve(waiter);
+      if (served === true) {
+        waiters.splice(index, 1);
+        if (waiter.signal) {
+          waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+      } else if (served === 'blocked') {
+        index++;
+      } else {
+        break;
+      }
+    }
+    notifyPositions();
+  };
+
+  // Resolve to a lease ({ browser, profile }) once a browser is free, or
+  // with `userDataDir` to a slot-only lease (browser null) once that
+  // directory and a slot are. Aborting `signal` while queued rejects with a
+  // RUN_CANCELLED error.
+  const acquire = async ({ signal, onQueuePosition, userDataDir = null } = {}) => {
+    if (signal && signal.aborted) {
+      throw createCancelledError();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve,
+        reject,
+        signal,
+        onQueuePosition,
+        userDataDir,
+        onAbort: null
+      };
+      if (signal) {
+        waiter.onAbort = () => {
+          const index = waiters.indexOf(waiter);
+          if (index !== -1) {
+            waiters.splice(index, 1);
+            notifyPositions();
+          }
+          reject(createCancelledError());
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      waiters.push(waiter);
+      dispatch();
+    });
+  };
+
+  // Give a leased browser back to the pool
+  const release = (lease) => {
+    const { entry } = lease;
+    if (!entry) {
+      reserved.splice(reserved.indexOf(lease.userDataDir), 1);
+      dispatch();
+      return;
+    }
+    entry.busy = false;
+    if (entries.includes(entry)) {
+      if (entry.browser.isConnected()) {
+        scheduleIdleClose(entry);
+      } else {
+        removeEntry(entry);
+      }
+    }
+    dispatch();
+  };
+
+  const getStats = () => ({
+    size,
+    browsers: entries.length,
+    busy: entries.filter((entry) => entry.busy).length,
+    profileRuns: reserved.length,
+    launching,
+    queued: waiters.length
+  });
+
+  // Close every pooled browser (used on shutdown)
+  const closeAll = async () => {
+    const closing = entries.splice(0, entries.length);
+    await Promise.all(closing.map((entry) => {
+      clearTimeout(entry.idleTimer);
+      return entry.browser.close().catch(() => {});
+    }));
+  };
+
+  return {
+    acquire,
+    release,
+    getStats,
+    closeAll
+  };
+}
+
+module.exports = {
+  createBrowserPool
+};
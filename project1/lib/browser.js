@@ -0,0 +1,222 @@
+const puppeteer = require('puppeteer');
+const path = require('path');
+const fs = require('fs');
+const { getConfig } = require('./config');
+const { findUserDataDirs, listProfiles, pickDefaultProfile, isProfileInUse } = require('./profiles');
+const { applyFingerprint } = require('./fingerprints');
+
+// `settings` is the browser section of the configuration (lib/config.js)
+function shouldUseHeadlessChrome(settings = getConfig().values.browser) {
+  if (settings.forceHeadful) {
+    return false;
+  }
+  if (settings.forceHeadless) {
+    return true;
+  }
+  if (settings.ci) {
+    return true;
+  }
+  if (process.platform !== 'win32' && !settings.display) {
+    return true;
+  }
+  return false;
+}
+
+// Get Chrome executable path
+function getChromePath(settings = getConfig().values.browser) {
+  const configuredPath = settings.chromePath;
+  if (configuredPath && fs.existsSync(configuredPath)) {
+    return configuredPath;
+  }
+
+  const platform = process.platform;
+  const possiblePaths = [];
+
+  if (platform === 'win32') {
+    possiblePaths.push(
+      'C:\\\\Program Files\\\\Google\\\\Chrome\\\\Application\\\\chrome.exe',
+      'C:\\\\Program Files (x86)\\\\Google\\\\Chrome\\\\Application\\\\chrome.exe',
+      path.join(process.env.LOCALAPPDATA || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+      path.join(process.env.LOCALAPPDATA || '', 'Chromium', 'Application', 'chrome.exe')
+    );
+  } else if (platform === 'darwin') {
+    possiblePaths.push(
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      `${process.env.HOME || ''}/Applications/Google Chrome.app/Contents/MacOS/Google Chrome`,
+      '/Applications/Chromium.app/Contents/MacOS/Chromium'
+    );
+  } else {
+    possiblePaths.push(
+      '/usr/bin/google-chrome-stable',
+      '/usr/bin/google-chrome',
+      '/usr/bin/chromium-browser',
+      '/usr/bin/chromium',
+      '/snap/bin/chromium'
+    );
+  }
+  
+  for (const chromePath of possiblePaths) {
+    if (chromePath && fs.existsSync(chromePath)) {
+      return chromePath;
+    }
+  }
+  return null;
+}
+
+// Get Chrome user data directory: the first standard Chrome or Chromium
+// location that exists (see lib/profiles.js)
+function getChromeUserDataDir() {
+  const [found] = findUserDataDirs();
+  return found ? found.path : null;
+}
+
+// Get list of Chrome profile directories
+function getChromeProfiles(userDataDir) {
+  return listProfiles(userDataDir).map((profile) => profile.directory);
+}
+
+// Check if Chrome is running
+function isChromeRunning() {
+  try {
+    const { execSync } = require('child_process');
+    if (process.platform === 'win32') {
+      const result = execSync('tasklist /FI "IMAGENAME eq chrome.exe"', { encoding: 'utf8' });
+      return result.includes('chrome.exe');
+    }
+    const result = execSync('pgrep -x chrome || pgrep -x chromium', { encoding: 'utf8' });
+    return result.trim().length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Launch Chrome with `profile` (a resolved profile, see lib/profiles.js) or,
+// when running headful, the last used profile in `userDataDir`.
+// Falls back to a temporary profile when the existing one cannot be used.
+// Resolves to { browser, profile } with the profile actually used or null.
+async function launchChrome({ chromePath, userDataDir, useHeadless, profile }) {
+  if (!chromePath) {
+    const error = new Error('Chrome not found! Please install Google Chrome.');
+    console.error(error.message);
+    throw error;
+  }
+
+  // Check if Chrome is running
+  if (isChromeRunning()) {
+    console.log('WARNING: Chrome appears to be running. Please close all Chrome windows first!');
+    console.log('Attempting to launch anyway...');
+  }
+
+  if (useHeadless) {
+    console.log('No active display detected. Running Chrome in headless mode.');
+  }
+
+  // A requested profile is used in headless runs too; otherwise headful runs
+  // pick the profile last used in Chrome
+  let selectedProfile = profile || null;
+  if (!selectedProfile && !useHeadless && userDataDir) {
+    console.log('Available profiles:', getChromeProfiles(userDataDir));
+    selectedProfile = pickDefaultProfile(userDataDir);
+  }
+  if (selectedProfile) {
+    console.log(`Using profile "${selectedProfile.name}" (${selectedProfile.directory})`);
+    if (isProfileInUse(selectedProfile.userDataDir)) {
+      console.log('WARNING: This profile is open in another browser. Use an automation profile (POST /api/profiles/automation) to avoid the lock.');
+    }
+  }
+  console.log('Chrome path:', chromePath);
+  if (selectedProfile) {
+    console.log('User data dir:', selectedProfile.userDataDir);
+  }
+
+  const baseArgs = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-dev-shm-usage',
+    '--disable-features=IsolateOrigins,site-per-process',
+    ...(useHeadless ? ['--disable-gpu'] : [])
+  ];
+
+  const createLaunchOptions = (extraArgs = []) => ({
+    headless: useHeadless ? 'new' : false,
+    executablePath: chromePath,
+    args: [...extraArgs, ...baseArgs]
+  });
+
+  let browser;
+  if (selectedProfile) {
+    try {
+      browser = await puppeteer.launch(
+        createLaunchOptions([
+          `--user-data-dir=${selectedProfile.userDataDir}`,
+          `--profile-directory=${selectedProfile.directory}`
+        ])
+      );
+      console.log('Chrome launched successfully with profile:', selectedProfile.directory);
+    } catch (profileError) {
+      console.log('Failed to launch with existing profile:', profileError.message);
+      console.log('Trying with temporary profile...');
+
+      // Fallback to temporary profile
+      try {
+        browser = await puppeteer.launch(createLaunchOptions());
+        selectedProfile = null;
+        console.log('Chrome launched successfully with temporary profile');
+      } catch (tempError) {
+        console.error('Failed to launch Chrome:', tempError.message);
+        throw tempError;
+      }
+    }
+  } else {
+    // Launch without profile
+    browser = await puppeteer.launch(createLaunchOptions());
+    console.log(
+      useHeadless
+        ? 'Chrome launched headlessly with temporary profile'
+        : 'Chrome launched successfully with temporary profile'
+    );
+  }
+  return { browser, profile: selectedProfile };
+}
+
+// Apply the run's fingerprint (see lib/fingerprints.js) to a page: viewport,
+// user agent and client hints, languages, WebGL strings and plugins
+async function configurePage(targetPage, fingerprint) {
+  await applyFingerprint(targetPage, fingerprint);
+}
+
+// Click through Google's cookie consent dialog when it is shown
+async function dismissConsentIfPresent(targetPage) {
+  try {
+    await targetPage.evaluate(() => {
+      const selectors = [
+        'button[aria-label="Accept all"]',
+        'button[aria-label="Accept everything"]',
+        '#L2AGLb',
+        'button[jsname="higCR"]',
+        'button[aria-label="I agree"]'
+      ];
+      for (const selector of selectors) {
+        const btn = document.querySelector(selector);
+        if (btn) {
+          btn.click();
+          return;
+        }
+      }
+    });
+  } catch (err) {
+    // Ignore consent dismissal errors
+  }
+}
+
+module.exports = {
+  shouldUseHeadlessChrome,
+  getChromePath,
+  getChromeUserDataDir,
+  getChromeProfiles,
+  isChromeRunning,
+  launchChrome,
+  configurePage,
+  dismissConsentIfPresent
+};
@@ -0,0 +1,78 @@
+// Deep-scroll collection: keep scrolling the Google Jobs list, which
+// lazy-loads more cards, until one of the stop conditions is met.
+//   { targetCount, timeBudgetMs, maxIdleRounds, maxRounds }
+// `targetCount` defaults to maxJobs when that is set.
+
+const DEFAULT_TIME_BUDGET_MS = 60 * 1000;
+// Rounds in a row without a new card before giving up
+const DEFAULT_MAX_IDLE_ROUNDS = 3;
+// Hard cap so a list that keeps growing cannot scroll forever
+const DEFAULT_MAX_ROUNDS = 100;
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+const readLimit = (input, name) => {
+  const value = input[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createValidationError(`collect.${name} must be a positive integer`);
+  }
+  return number;
+};
+
+// Normalize the `collect` request field. `true` turns deep scrolling on with
+// the defaults; false/absent leaves it off (returns null).
+function validateCollectOptions(input) {
+  if (input === undefined || input === null || input === false) {
+    return null;
+  }
+  if (input === true) {
+    return validateCollectOptions({});
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw createValidationError('collect must be true or an object');
+  }
+  return {
+    targetCount: readLimit(input, 'targetCount'),
+    timeBudgetMs: readLimit(input, 'timeBudgetMs') || DEFAULT_TIME_BUDGET_MS,
+    maxIdleRounds: readLimit(input, 'maxIdleRounds') || DEFAULT_MAX_IDLE_ROUNDS,
+    maxRounds: readLimit(input, 'maxRounds') || DEFAULT_MAX_ROUNDS
+  };
+}
+
+// Runs inside the page (self-contained, see lib/extractors.js): bring the
+// last job card into view and push every scrollable ancestor of the list to
+// its bottom so the next batch of cards is requested. `selectors` is the
+// fields object of the matched selector set.
+function scrollJobList(selectors) {
+  let cards = [];
+  for (const selector of selectors.title) {
+    cards = document.querySelectorAll(selector);
+    if (cards.length) break;
+  }
+  const lastCard = cards[cards.length - 1];
+  if (lastCard) {
+    lastCard.scrollIntoView({ block: 'end' });
+    let parent = lastCard.parentElement;
+    while (parent && parent !== document.body) {
+      if (parent.scrollHeight > parent.clientHeight + 10) {
+        parent.scrollTop = parent.scrollHeight;
+      }
+      parent = parent.parentElement;
+    }
+  }
+  window.scrollBy(0, window.innerHeight);
+  return cards.length;
+}
+
+module.exports = {
+  validateCollectOptions,
+  scrollJobList
+};
@@ -0,0 +1,271 @@
+const path = require('path');
+const fs = require('fs');
+
+// Settings that used to be scattered over environment variables and
+// hardcoded values, resolved in layers (later layers win):
+//   1. the defaults in CONFIG_SCHEMA
+//   2. config/job-search.json (or the file named by JOB_SEARCH_CONFIG), in
+//      the same nested shape as the values, e.g.
+//      { "server": { "port": 8080 }, "typing": { "maxDelayMs": 200 } }
+//   3. environment variables (the `env` of each key)
+//   4. per-request overrides, for the OVERRIDABLE_KEYS only
+// Every layer is checked against the schema; unknown keys and wrong types
+// are errors. Secrets are redacted by describeConfig (GET /api/config).
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'job-search.json');
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const REDACTED = '[redacted]';
+
+// type: integer | boolean | string; `min`/`max` bound integers. String
+// settings without a default are null when unset. `envOther` is what a
+// boolean environment variable means when it is not one of true/false/1/0/
+// yes/no/on/off (how these variables were read before this module).
+const CONFIG_SCHEMA = {
+  'server.port': { type: 'integer', default: 5005, min: 1, max: 65535, env: 'PORT' },
+  'run.summaryOnly': { type: 'boolean', default: true, env: 'SUMMARY_ONLY_OUTPUT', envOther: true },
+  // How long detail-mode runs leave the browser open afterwards
+  'run.keepBrowserOpenMs': { type: 'integer', default: 60000, min: 0, env: 'KEEP_BROWSER_OPEN_MS' },
+  'run.pauseOnBlock': { type: 'boolean', default: false, env: 'PAUSE_ON_BLOCK', envOther: false },
+  'browser.chromePath': { type: 'string', default: null, env: 'CHROME_PATH' },
+  'browser.forceHeadful': { type: 'boolean', default: false, env: 'FORCE_HEADFUL', envOther: false },
+  'browser.forceHeadless': { type: 'boolean', default: false, env: 'FORCE_HEADLESS', envOther: false },
+  // CI services set CI to all sorts of values (CI=github, CI=woodpecker)
+  'browser.ci': { type: 'boolean', default: false, env: 'CI', envOther: true },
+  'browser.display': { type: 'string', default: null, env: 'DISPLAY' },
+  // Profile for runs that do not pick one (see lib/profiles.js)
+  'browser.profile': { type: 'string', default: null, env: 'CHROME_PROFILE' },
+  // Fingerprint profile of runs that do not pick one: a name from the
+  // fingerprints file, "auto" or "rotate" (see lib/fingerprints.js)
+  'browser.fingerprint': { type: 'string', default: 'auto', env: 'FINGERPRINT_PROFILE' },
+  'browser.poolSize': { type: 'integer', default: 1, min: 1, max: 16, env: 'BROWSER_POOL_SIZE' },
+  'browser.idleTimeoutMs': { type: 'integer', default: 5 * 60 * 1000, min: 0, env: 'BROWSER_IDLE_TIMEOUT_MS' },
+  'timeouts.navigationMs': { type: 'integer', default: 30000, min: 1000, max: 300000, env: 'NAVIGATION_TIMEOUT_MS' },
+  'timeouts.selectorMs': { type: 'integer', default: 10000, min: 500, max: 120000 },
+  // Delay between typed characters, picked at random in this range
+  'typing.minDelayMs': { type: 'integer', default: 50, min: 0, max: 2000 },
+  'typing.maxDelayMs': { type: 'integer', default: 150, min: 0, max: 2000 },
+  'blocking.cooldownMs': { type: 'integer', default: 15 * 60 * 1000, min: 0, env: 'BLOCK_COOLDOWN_MS' },
+  'selectors.path': { type: 'string', default: null, env: 'SELECTORS_CONFIG' },
+  'fingerprints.path': { type: 'string', default: null, env: 'FINGERPRINTS_CONFIG' },
+  // User agent of plain HTTP requests (job board APIs, link resolution);
+  // browser pages get theirs from the fingerprint profile
+  'http.userAgent': { type: 'string', default: DEFAULT_USER_AGENT, env: 'USER_AGENT' },
+  'smtp.host': { type: 'string', default: null, env: 'SMTP_HOST' },
+  'smtp.port': { type: 'integer', default: 587, min: 1, max: 65535, env: 'SMTP_PORT' },
+  'smtp.secure': { type: 'boolean', default: false, env: 'SMTP_SECURE', envOther: false },
+  'smtp.user': { type: 'string', default: null, env: 'SMTP_USER' },
+  'smtp.pass': { type: 'string', default: null, env: 'SMTP_PASS', secret: true },
+  'alerts.emailFrom': { type: 'string', default: 'job-search@localhost', env: 'ALERT_EMAIL_FROM' }
+};
+
+// Keys a single run may change (the `config` field of a search request)
+const OVERRIDABLE_KEYS = [
+  'timeouts.navigationMs',
+  'timeouts.selectorMs',
+  'typing.minDelayMs',
+  'typing.maxDelayMs'
+];
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// Nested object to { 'a.b': value }
+function flatten(input, prefix = '') {
+  const flat = {};
+  Object.entries(input || {}).forEach(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flatten(value, key));
+    } else {
+      flat[key] = value;
+    }
+  });
+  return flat;
+}
+
+function unflatten(flat) {
+  const nested = {};
+  Object.entries(flat).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let target = nested;
+    parts.slice(0, -1).forEach((part) => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+  });
+  return nested;
+}
+
+// Check a value from the config file or a request against its schema entry
+function checkValue(key, value, source) {
+  const field = CONFIG_SCHEMA[key];
+  if (!field) {
+    throw createValidationError(`Unknown config key "${key}" in ${source}`);
+  }
+  if (value === null && field.type === 'string') {
+    return null;
+  }
+  if (field.type === 'integer') {
+    if (!Number.isInteger(value) || value < (field.min ?? -Infinity) || value > (field.max ?? Infinity)) {
+      const range = field.max === undefined ? `>= ${field.min}` : `between ${field.min} and ${field.max}`;
+      throw createValidationError(`${key} in ${source} must be an integer ${range}`);
+    }
+  } else if (typeof value !== field.type) {
+    throw createValidationError(`${key} in ${source} must be a ${field.type}`);
+  }
+  return value;
+}
+
+// Environment variables are strings; an empty one counts as unset. A value
+// that cannot be read is reported and ignored (undefined) rather than
+// stopping the process, as these variables were read leniently before.
+function parseEnvValue(key, raw) {
+  const field = CONFIG_SCHEMA[key];
+  const source = `environment variable ${field.env}`;
+  if (field.type === 'integer') {
+    try {
+      return checkValue(key, /^-?\d+$/.test(raw.trim()) ? Number(raw) : NaN, source);
+    } catch (error) {
+      console.log(`${error.message}; ignoring it`);
+      return undefined;
+    }
+  }
+  if (field.type === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(raw.trim())) {
+      return true;
+    }
+    if (/^(false|0|no|off)$/i.test(raw.trim())) {
+      return false;
+    }
+    if (field.envOther !== undefined) {
+      return field.envOther;
+    }
+    console.log(`${source} must be true or false; ignoring it`);
+    return undefined;
+  }
+  return raw;
+}
+
+function checkRelations(flat, source) {
+  if (flat['typing.minDelayMs'] > flat['typing.maxDelayMs']) {
+    throw createValidationError(`typing.minDelayMs must not exceed typing.maxDelayMs (${source})`);
+  }
+}
+
+// Resolve defaults, the config file and the environment. Returns
+//   { values, sources, filePath, loadedAt }
+// where `values` is nested ({ server: { port } }) and `sources` maps each
+// key to 'default', 'file' or 'env'. A missing config file is not an error.
+function loadConfig({ filePath = process.env.JOB_SEARCH_CONFIG || DEFAULT_CONFIG_PATH, env = process.env } = {}) {
+  const flat = {};
+  const sources = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, field]) => {
+    flat[key] = field.default;
+    sources[key] = 'default';
+  });
+
+  let fileFound = false;
+  if (fs.existsSync(filePath)) {
+    let fileValues;
+    try {
+      fileValues = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw createValidationError(`Invalid config file ${filePath}: ${error.message}`);
+    }
+    Object.entries(flatten(fileValues)).forEach(([key, value]) => {
+      flat[key] = checkValue(key, value, filePath);
+      sources[key] = 'file';
+    });
+    fileFound = true;
+  }
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, field]) => {
+    const raw = field.env ? env[field.env] : undefined;
+    const value = raw !== undefined && raw !== '' ? parseEnvValue(key, raw) : undefined;
+    if (value !== undefined) {
+      flat[key] = value;
+      sources[key] = 'env';
+    }
+  });
+  checkRelations(flat, 'effective config');
+
+  return {
+    values: unflatten(flat),
+    sources,
+    filePath: fileFound ? filePath : null,
+    loadedAt: new Date().toISOString()
+  };
+}
+
+let currentConfig = null;
+
+// Process-wide configuration, loaded on first use
+function getConfig() {
+  if (!currentConfig) {
+    currentConfig = loadConfig();
+  }
+  return currentConfig;
+}
+
+// Settings for one run: the process configuration with the request's
+// `overrides` (nested, whitelisted keys only) on top. Returns nested values.
+function resolveRunConfig(overrides, config = getConfig()) {
+  if (overrides === undefined || overrides === null) {
+    return config.values;
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw createValidationError('config must be an object');
+  }
+  const flat = flatten(config.values);
+  Object.entries(flatten(overrides)).forEach(([key, value]) => {
+    if (!OVERRIDABLE_KEYS.includes(key)) {
+      throw createValidationError(
+        CONFIG_SCHEMA[key]
+          ? `config.${key} cannot be changed per request`
+          : `Unknown config key "${key}"`
+      );
+    }
+    flat[key] = checkValue(key, value, 'the request');
+  });
+  checkRelations(flat, 'the request');
+  return unflatten(flat);
+}
+
+// The effective configuration for display: secrets redacted and every key
+// listed with its source, environment variable and whether runs may
+// override it
+function describeConfig(config = getConfig()) {
+  const flat = flatten(config.values);
+  const settings = Object.entries(CONFIG_SCHEMA).map(([key, field]) => ({
+    key,
+    value: field.secret && flat[key] !== null ? REDACTED : flat[key],
+    source: config.sources[key],
+    env: field.env || null,
+    overridable: OVERRIDABLE_KEYS.includes(key)
+  }));
+  const values = {};
+  settings.forEach((setting) => {
+    values[setting.key] = setting.value;
+  });
+  return {
+    filePath: config.filePath,
+    loadedAt: config.loadedAt,
+    values: unflatten(values),
+    settings
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_USER_AGENT,
+  CONFIG_SCHEMA,
+  OVERRIDABLE_KEYS,
+  loadConfig,
+  getConfig,
+  resolveRunConfig,
+  describeConfig
+};
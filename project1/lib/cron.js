@@ -0,0 +1,116 @@
+// Minimal five-field cron expressions: "minute hour day-of-month month day-of-week".
+// Each field accepts *, numbers, ranges (1-5), steps (*/15, 1-10/2) and
+// comma-separated lists. Day-of-week is 0-6 with Sunday as 0 (7 also means
+// Sunday). The @hourly, @daily, @weekly and @monthly shortcuts are supported.
+// Times are evaluated in the server's local time zone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} field "${text}"`);
+    }
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-').map((value) => parseInt(value, 10));
+      start = from;
+      end = to === undefined ? (stepText ? field.max : from) : to;
+    }
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Invalid ${field.name} field "${text}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Parse and validate an expression. Throws on invalid input.
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const expanded = SHORTCUTS[source] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${source}" must have ${FIELDS.length} fields`);
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+  return {
+    source,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted either may match
+    dayRestricted: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const domMatch = schedule.daysOfMonth.has(date.getDate());
+  const dowMatch = schedule.daysOfWeek.has(date.getDay());
+  return schedule.dayRestricted ? (domMatch || dowMatch) : (domMatch && dowMatch);
+}
+
+// First time strictly after `after` that matches the expression, or null
+// when nothing matches within the next four years (e.g. "0 0 31 2 *").
+function getNextRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + 4);
+
+  while (date <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun
+};
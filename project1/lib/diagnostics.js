@@ -0,0 +1,96 @@
+const path = require('path');
+const fs = require('fs');
+const { getSelectorConfig } = require('./selectors');
+const { formatRunLog } = require('./run-log');
+
+const DIAGNOSTICS_DIR = path.join(__dirname, '..', 'output', 'diagnostics');
+
+// Flatten every configured selector set plus the fallback set into
+// { extractor, field, selector } rows
+function listTriedSelectors() {
+  const rows = [];
+  const addRows = (extractor, fields) => {
+    for (const [field, value] of Object.entries(fields)) {
+      value.forEach((selector) => rows.push({ extractor, field, selector }));
+    }
+  };
+  const { config } = getSelectorConfig();
+  config.sets.forEach((set) => addRows(`set:${set.name}`, set.fields));
+  addRows('fallback', config.fallback.fields);
+  return rows;
+}
+
+// Save what the page looked like when extraction came back empty:
+//   page.html        - full page HTML
+//   screenshot.png   - full-page screenshot
+//   diagnostics.json - URL, available tabs, selectors tried and their match counts
+//   console.log      - everything the run logged up to this point
+// Each artifact is written independently so one failure does not lose the rest.
+// Returns the bundle directory.
+async function captureDiagnostics(context, reason) {
+  const { options, report, state, runLog } = context;
+  const { page } = state;
+  const baseDir = options.diagnosticsDir || DIAGNOSTICS_DIR;
+  const bundleDir = path.join(baseDir, report.runId);
+  fs.mkdirSync(bundleDir, { recursive: true });
+  console.log(`Saving diagnostic bundle to ${bundleDir}`);
+
+  const errors = [];
+  const attempt = async (label, fn) => {
+    try {
+      await fn();
+    } catch (error) {
+      errors.push({ artifact: label, error: error.message });
+      console.log(`Failed to save ${label}:`, error.message);
+    }
+  };
+
+  await attempt('page.html', async () => {
+    const html = await page.content();
+    fs.writeFileSync(path.join(bundleDir, 'page.html'), html);
+  });
+
+  await attempt('screenshot.png', async () => {
+    await page.screenshot({ path: path.join(bundleDir, 'screenshot.png'), fullPage: true });
+  });
+
+  let selectors = listTriedSelectors();
+  await attempt('selector counts', async () => {
+    selectors = await page.evaluate((rows) => rows.map((row) => {
+      let matches = null;
+      try {
+        matches = document.querySelectorAll(row.selector).length;
+      } catch (e) {
+        // Invalid selector for this document
+      }
+      return { ...row, matches };
+    }), selectors);
+  });
+
+  await attempt('console.log', async () => {
+    fs.writeFileSync(path.join(bundleDir, 'console.log'), `${formatRunLog(runLog)}\n`);
+  });
+
+  await attempt('diagnostics.json', async () => {
+    const summary = {
+      reason,
+      runId: report.runId,
+      searchQuery: report.searchQuery,
+      capturedAt: new Date().toISOString(),
+      pageUrl: page.url(),
+      availableTabs: report.availableTabs,
+      selectorSet: report.selectorSet,
+      selectors,
+      stages: report.stages,
+      errors
+    };
+    fs.writeFileSync(path.join(bundleDir, 'diagnostics.json'), `${JSON.stringify(summary, null, 2)}\n`);
+  });
+
+  return bundleDir;
+}
+
+module.exports = {
+  DIAGNOSTICS_DIR,
+  captureDiagnostics
+};
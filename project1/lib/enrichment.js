@@ -0,0 +1,330 @@
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./job-store');
+const { dismissConsentIfPresent } = require('./browser');
+const { detectBlockPage } = require('./blocking');
+const { canonicalizeUrl } = require('./links');
+const { DEFAULT_DOMAIN, buildGoogleUrl } = require('./network');
+
+// Enrichment service: looks up the first Google result for each job's
+// "title company" query. Lookups are cached on disk by normalized query and
+// Google domain/gl/hl,
+// spaced out by a rate limiter with jitter and optionally spread over a few
+// tabs; the service stops once Google keeps answering with CAPTCHA or
+// consent pages.
+//   { cache, ttlMs, minIntervalMs, jitterMs, concurrency, maxBlocked }
+
+const DEFAULT_LOOKUP_CACHE_PATH = path.join(DATA_DIR, 'lookups.json');
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Lookups that found no result are retried sooner (never later than ttlMs)
+const EMPTY_RESULT_TTL_MS = 6 * 60 * 60 * 1000;
+// Gap between two lookups, plus up to `jitterMs` at random
+const DEFAULT_MIN_INTERVAL_MS = 2500;
+const DEFAULT_JITTER_MS = 1500;
+const MAX_CONCURRENCY = 4;
+// Blocked pages in a row before the remaining lookups are skipped
+const DEFAULT_MAX_BLOCKED = 2;
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+const readNumber = (input, name, min, max = Infinity) => {
+  const value = input[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw createValidationError(`enrichment.${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const withDefault = (value, fallback) => (value === null ? fallback : value);
+
+// Normalize the `enrichment` request field (all keys optional)
+function validateEnrichmentOptions(input) {
+  if (input === undefined || input === null) {
+    return validateEnrichmentOptions({});
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw createValidationError('enrichment must be an object');
+  }
+  if (input.cache !== undefined && typeof input.cache !== 'boolean') {
+    throw createValidationError('enrichment.cache must be a boolean');
+  }
+  return {
+    cache: input.cache !== false,
+    ttlMs: withDefault(readNumber(input, 'ttlMs', 0), DEFAULT_TTL_MS),
+    minIntervalMs: withDefault(readNumber(input, 'minIntervalMs', 0), DEFAULT_MIN_INTERVAL_MS),
+    jitterMs: withDefault(readNumber(input, 'jitterMs', 0), DEFAULT_JITTER_MS),
+    concurrency: withDefault(readNumber(input, 'concurrency', 1, MAX_CONCURRENCY), 1),
+    maxBlocked: withDefault(readNumber(input, 'maxBlocked', 1), DEFAULT_MAX_BLOCKED)
+  };
+}
+
+// Case, punctuation and spacing do not make a new lookup
+const normalizeLookupQuery = (query) => String(query || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+  .trim();
+
+// Cache key: the same query on another Google domain or in another
+// country/language has its own first result
+const getLookupCacheKey = (query, locale = null) => [
+  (locale && locale.domain) || DEFAULT_DOMAIN,
+  (locale && locale.gl) || '',
+  (locale && locale.hl) || 'en',
+  normalizeLookupQuery(query)
+].join('|');
+
+// JSON file of lookup results keyed by getLookupCacheKey:
+//   { [key]: { query, result, cachedAt } }
+// Entries older than `ttlMs` (EMPTY_RESULT_TTL_MS for empty results) are
+// treated as missing and dropped on save.
+// Written via a temp file and rename like the job store.
+function createLookupCache(filePath = DEFAULT_LOOKUP_CACHE_PATH) {
+  let entries = null;
+
+  const load = () => {
+    if (entries) {
+      return entries;
+    }
+    entries = {};
+    if (fs.existsSync(filePath)) {
+      try {
+        entries = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+      } catch (error) {
+        console.log(`Ignoring unreadable lookup cache: ${error.message}`);
+      }
+    }
+    return entries;
+  };
+
+  const isFresh = (entry, ttlMs, now) => Boolean(entry) &&
+    now - Date.parse(entry.cachedAt) < (entry.result ? ttlMs : Math.min(ttlMs, EMPTY_RESULT_TTL_MS));
+
+  const get = (query, { ttlMs = DEFAULT_TTL_MS, now = Date.now(), locale = null } = {}) => {
+    const entry = load()[getLookupCacheKey(query, locale)];
+    return isFresh(entry, ttlMs, now) ? entry : null;
+  };
+
+  const set = (query, result, { now = Date.now(), locale = null } = {}) => {
+    load()[getLookupCacheKey(query, locale)] = {
+      query,
+      result,
+      cachedAt: new Date(now).toISOString()
+    };
+  };
+
+  const save = ({ ttlMs = DEFAULT_TTL_MS, now = Date.now() } = {}) => {
+    const fresh = {};
+    Object.entries(load()).forEach(([key, entry]) => {
+      if (isFresh(entry, ttlMs, now)) {
+        fresh[key] = entry;
+      }
+    });
+    entries = fresh;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entries, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    filePath,
+    get,
+    set,
+    save
+  };
+}
+
+let defaultLookupCache = null;
+function getDefaultLookupCache() {
+  if (!defaultLookupCache) {
+    defaultLookupCache = createLookupCache();
+  }
+  return defaultLookupCache;
+}
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  if (ms <= 0 || (signal && signal.aborted)) {
+    resolve();
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    resolve();
+  }, ms);
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+// Hands out request slots at least `minIntervalMs` (+ random jitter) apart,
+// shared by every tab so parallel lookups do not raise the request rate
+function createRateLimiter({ minIntervalMs = DEFAULT_MIN_INTERVAL_MS, jitterMs = DEFAULT_JITTER_MS } = {}) {
+  let nextSlotAt = 0;
+  const wait = async (signal) => {
+    const now = Date.now();
+    const slotAt = Math.max(now, nextSlotAt);
+    nextSlotAt = slotAt + minIntervalMs + Math.round(Math.random() * jitterMs);
+    await sleep(slotAt - now, signal);
+  };
+  return { wait };
+}
+
+// Run a Google search in `page` and return { result, blocked } where
+// `result` is the first organic result link, unwrapped and without
+// tracking parameters, and `blocked` the kind of block page shown instead
+// (lib/blocking.js), if any. `locale` (lib/network.js) picks the Google
+// domain and gl/hl; results are in English unless it sets hl.
+async function getFirstGoogleResultLink(page, query, { timeoutMs = 30000, locale = null } = {}) {
+  await page.goto(buildGoogleUrl(locale, '/search', { q: query, hl: 'en' }), {
+    waitUntil: 'domcontentloaded',
+    timeout: timeoutMs
+  });
+  await dismissConsentIfPresent(page);
+  await page.waitForTimeout(1500);
+  const block = await detectBlockPage(page);
+  if (block) {
+    return { result: '', blocked: block.kind };
+  }
+
+  const firstLink = await page.evaluate(() => {
+    const preferredSelectors = [
+      '.g a',
+      '.yuRUbf > a',
+      'a h3'
+    ];
+    for (const selector of preferredSelectors) {
+      const nodes = document.querySelectorAll(selector);
+      for (const node of nodes) {
+        const anchor = node.tagName === 'A' ? node : node.closest('a');
+        if (anchor && anchor.href && !anchor.href.includes('/search?')) {
+          return anchor.href;
+        }
+      }
+    }
+    const genericAnchor = document.querySelector('#search a[href]');
+    return genericAnchor?.href || '';
+  });
+  // Result links may be /url?q= redirects with tracking parameters
+  return { result: canonicalizeUrl(firstLink), blocked: null };
+}
+
+// Look up `queries` (strings) and call onResult({ index, query, result,
+// cached, error }) as each finishes. `openTab(slot)` returns the page a
+// worker uses; `cache` is a lookup cache or null, read and written under
+// `locale` (the run's lib/network.js locale). Resolves to the stats:
+//   { lookups, cacheHits, cacheMisses, failed, blocked, skipped,
+//     stoppedReason, blockKind, concurrency }
+// `blockKind` is set when the lookups stopped because of block pages.
+async function runLookups(queries, { openTab, cache, options, locale = null, signal, onResult = () => {}, lookup = getFirstGoogleResultLink }) {
+  const settings = validateEnrichmentOptions(options);
+  const limiter = createRateLimiter(settings);
+  const stats = {
+    lookups: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    failed: 0,
+    blocked: 0,
+    skipped: 0,
+    stoppedReason: null,
+    blockKind: null,
+    concurrency: settings.concurrency
+  };
+  let blockedInARow = 0;
+  let next = 0;
+
+  const lookupOne = async (page, index) => {
+    const query = queries[index];
+    const cached = cache && settings.cache ? cache.get(query, { ttlMs: settings.ttlMs, locale }) : null;
+    if (cached) {
+      stats.cacheHits++;
+      onResult({ index, query, result: cached.result, cached: true, error: null });
+      return;
+    }
+    stats.cacheMisses++;
+    await limiter.wait(signal);
+    if (stats.stoppedReason || (signal && signal.aborted)) {
+      stats.skipped++;
+      return;
+    }
+    stats.lookups++;
+    try {
+      const { result, blocked } = await lookup(page, query);
+      if (blocked) {
+        stats.blocked++;
+        blockedInARow++;
+        if (blockedInARow >= settings.maxBlocked && !stats.stoppedReason) {
+          stats.stoppedReason = `${blocked} page ${blockedInARow} times in a row`;
+          stats.blockKind = blocked;
+          console.log(`Stopping job lookups: Google returned a ${stats.stoppedReason}`);
+        }
+        onResult({ index, query, result: '', cached: false, error: `blocked by ${blocked} page` });
+        return;
+      }
+      blockedInARow = 0;
+      if (cache && settings.cache) {
+        cache.set(query, result, { locale });
+      }
+      onResult({ index, query, result, cached: false, error: null });
+    } catch (error) {
+      stats.failed++;
+      console.log(`Failed to fetch search result for "${query}": ${error.message}`);
+      onResult({ index, query, result: '', cached: false, error: error.message });
+    }
+  };
+
+  const worker = async (slot) => {
+    let page = null;
+    while (next < queries.length) {
+      const index = next++;
+      if (stats.stoppedReason || (signal && signal.aborted)) {
+        stats.skipped++;
+        continue;
+      }
+      // Cache hits never need a tab, so one is only opened on the first miss
+      const needsTab = !(cache && settings.cache && cache.get(queries[index], { ttlMs: settings.ttlMs, locale }));
+      if (needsTab && !page) {
+        try {
+          page = await openTab(slot);
+        } catch (error) {
+          stats.stoppedReason = `could not open a search tab (${error.message})`;
+          stats.skipped++;
+          continue;
+        }
+      }
+      await lookupOne(page, index);
+    }
+  };
+
+  const workers = Math.min(settings.concurrency, queries.length);
+  await Promise.all(Array.from({ length: workers }, (unused, slot) => worker(slot)));
+  if (cache && settings.cache) {
+    cache.save({ ttlMs: settings.ttlMs });
+  }
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_LOOKUP_CACHE_PATH,
+  validateEnrichmentOptions,
+  normalizeLookupQuery,
+  getLookupCacheKey,
+  createLookupCache,
+  getDefaultLookupCache,
+  createRateLimiter,
+  getFirstGoogleResultLink,
+  runLookups
+};
@@ -0,0 +1,212 @@
+const ExcelJS = require('exceljs');
+const { getJobSignature } = require('./job-store');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+// Columns that lead every table export; any other field follows in the
+// order it was first seen
+const LEADING_COLUMNS = ['title', 'company', 'location', 'description', 'applyLink', 'link', 'searchResult'];
+const DETAIL_PREFIX = 'detail.';
+
+// One row per job in `report.jobs` with every field it has. When the run
+// walked the detail panes, each `openedJobDetails` entry is merged into the
+// job it belongs to (same title/company/location, else same position) under
+// `detail.*` columns; details that match no job get a row of their own.
+function buildExportRows(report) {
+  const jobs = report && report.jobs ? report.jobs : [];
+  const details = report && report.openedJobDetails ? report.openedJobDetails : [];
+
+  const rows = jobs.map((job) => ({ ...job }));
+  const unmatched = [];
+  const used = new Set();
+  details.forEach((detail, position) => {
+    const signature = getJobSignature(detail);
+    let index = jobs.findIndex((job, jobIndex) => !used.has(jobIndex) && getJobSignature(job) === signature);
+    if (index === -1 && position < jobs.length && !used.has(position)) {
+      index = position;
+    }
+    const prefixed = {};
+    Object.keys(detail).forEach((key) => {
+      prefixed[`${DETAIL_PREFIX}${key}`] = detail[key];
+    });
+    if (index === -1) {
+      unmatched.push(prefixed);
+    } else {
+      used.add(index);
+      Object.assign(rows[index], prefixed);
+    }
+  });
+  return rows.concat(unmatched);
+}
+
+function getColumns(rows) {
+  const seen = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => seen.add(key)));
+  const leading = LEADING_COLUMNS.filter((column) => seen.has(column));
+  return leading.concat([...seen].filter((column) => !leading.includes(column)));
+}
+
+// Flat cell value: arrays and objects (e.g. detail anchors) become JSON
+const toCellValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+// Spreadsheets run text cells starting with these as formulas; scraped
+// text gets a leading ' so it stays text (numbers are left alone)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  const cell = toCellValue(value);
+  const text = typeof cell === 'string' && FORMULA_PREFIX.test(cell) ? `'${cell}` : String(cell);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(rows) {
+  const columns = getColumns(rows);
+  const lines = [columns.map(escapeCsv).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsv(row[column])).join(','));
+  });
+  // Leading BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function toJsonl(rows) {
+  return rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+async function toXlsx(rows, sheetName = 'Jobs') {
+  const columns = getColumns(rows);
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((column) => ({ header: column, key: column, width: 30 }));
+  rows.forEach((row) => {
+    const values = {};
+    columns.forEach((column) => {
+      values[column] = toCellValue(row[column]);
+    });
+    sheet.addRow(values);
+  });
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Render `report` in one of EXPORT_FORMATS; returns { body, contentType, extension }
+async function exportReport(report, format) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    const error = new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+  const rows = buildExportRows(report);
+  let body;
+  if (format === 'csv') {
+    body = toCsv(rows);
+  } else if (format === 'jsonl') {
+    body = toJsonl(rows);
+  } else {
+    body = await toXlsx(rows);
+  }
+  return { body, contentType: target.contentType, extension: target.extension };
+}
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Feed entry for a job store record ({ fingerprint, job, firstSeenAt, ... })
+const toFeedItem = (record) => {
+  const { job } = record;
+  const title = [job.title || 'Untitled job', job.company].filter(Boolean).join(' at ');
+  const summary = [job.location, job.description].filter(Boolean).join(' — ');
+  return {
+    id: `urn:job-search:${record.fingerprint}`,
+    title,
+    link: job.applyLink || job.link || job.searchResult || '',
+    summary,
+    published: record.firstSeenAt,
+    updated: record.lastSeenAt || record.firstSeenAt
+  };
+};
+
+// RSS 2.0 or Atom feed of the job store records found by a saved search,
+// newest postings first. `selfUrl` is the absolute URL of the feed itself.
+function buildFeed(search, records, format, selfUrl) {
+  if (!FEED_FORMATS[format]) {
+    const error = new Error(`format must be one of: ${Object.keys(FEED_FORMATS).join(', ')}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+  const items = [...records]
+    .sort((a, b) => b.firstSeenAt.localeCompare(a.firstSeenAt))
+    .map(toFeedItem);
+  const title = `Jobs: ${search.name}`;
+  const updated = items.length ? items[0].published : search.updatedAt;
+
+  if (format === 'atom') {
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:job-search:saved-search:${escapeXml(search.id)}</id>
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(search.query)}</subtitle>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <updated>${escapeXml(updated)}</updated>
+${items.map((item) => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    ${item.link ? `<link href="${escapeXml(item.link)}"/>` : ''}
+    <published>${escapeXml(item.published)}</published>
+    <updated>${escapeXml(item.updated)}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+  </entry>`).join('\n')}
+</feed>
+`;
+    return { body, contentType: FEED_FORMATS.atom };
+  }
+
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(selfUrl)}</link>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(search.query)}</description>
+    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+${items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      ${item.link ? `<link>${escapeXml(item.link)}</link>` : ''}
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+  return { body, contentType: FEED_FORMATS.rss };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  FEED_FORMATS,
+  buildExportRows,
+  exportReport,
+  buildFeed
+};
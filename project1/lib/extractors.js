@@ -0,0 +1,313 @@
+// Job extractors that run inside the page via `page.evaluate`.
+// Each function must stay self-contained: Puppeteer serializes the function
+// source into the browser, so nothing from this module's scope is available.
+// The one exception is `findApplyLink` (lib/links.js), which the job
+// extractors are given through withLinkHelpers.
+
+const { withLinkHelpers } = require('./links');
+
+// Texts of every job title element.
+// `selectors` is the fields object of a selector set (see lib/selectors.js);
+// each field is an ordered list of fallbacks.
+function collectHighlightedTexts(selectors) {
+  const texts = [];
+  let elements = [];
+  for (const selector of selectors.title) {
+    elements = document.querySelectorAll(selector);
+    if (elements.length) break;
+  }
+  elements.forEach((element) => {
+    const text = element.innerText?.trim() || element.textContent?.trim() || '';
+    if (text) {
+      texts.push(text);
+    }
+  });
+  return texts;
+}
+
+// Job cards built from the selector set's title/company/location/... fields
+function extractClassBasedJobs(selectors) {
+  const jobs = [];
+  const seen = new Set();
+  const first = (root, list) => {
+    if (!root) return null;
+    for (const selector of list) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+  const closest = (element, list) => {
+    for (const selector of list) {
+      const match = element.closest(selector);
+      if (match) return match;
+    }
+    return null;
+  };
+  // Short card lines besides title/company/location: the "3 days ago" text
+  // and chips such as "Full-time" or a salary (parsed by lib/job-schema.js)
+  const readCardLines = (root, known) => {
+    const lines = (root?.innerText || '')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && line.length <= 60 && !known.includes(line));
+    const postedText = lines.find((line) => /\b(ago|just posted|today|yesterday)\b/i.test(line)) || '';
+    return { postedText, tags: lines.filter((line) => line !== postedText).slice(0, 8) };
+  };
+
+  let titleElements = [];
+  for (const selector of selectors.title) {
+    titleElements = document.querySelectorAll(selector);
+    if (titleElements.length) break;
+  }
+
+  titleElements.forEach((titleEl) => {
+    const jobCard = closest(titleEl, selectors.card) || titleEl.parentElement;
+    const locationEl = first(jobCard, selectors.location);
+    const companyEl = first(jobCard, selectors.company);
+    const descriptionEl = first(jobCard, selectors.description);
+    const specialLinkEl = first(jobCard, selectors.applyLink);
+    const linkEl = specialLinkEl || jobCard?.querySelector('a[href]');
+    
+    const title = titleEl.innerText?.trim() || '';
+    const company = companyEl?.innerText?.trim() || '';
+    const location = locationEl?.innerText?.trim() || '';
+    const rawDescription = descriptionEl?.innerText?.trim() || '';
+    const description = rawDescription && rawDescription !== title && rawDescription !== company && rawDescription !== location ? rawDescription : '';
+    const applyLink = findApplyLink(jobCard, selectors.applyLink);
+    const link = linkEl?.href || applyLink || '';
+    
+    const { postedText, tags } = readCardLines(jobCard, [title, company, location, description]);
+    
+    const signature = `${title}__${company}__${location}`;
+    if (title && !seen.has(signature)) {
+      seen.add(signature);
+      jobs.push({
+        title,
+        company,
+        location,
+        description,
+        link,
+        applyLink,
+        postedText,
+        tags
+      });
+    }
+  });
+  
+  return jobs;
+}
+
+// Generic extraction used when the selector set's titles are not on the page.
+// `locationHints` are lowercase place names (from the location filter or the
+// query, see getExtractionLocationHints) that mark a line as a location
+// rather than a company name; `fields` is the matched selector set's fields
+// (its applyLink list is used) and `selectors` is the fallback set's fields;
+// its title, heading and resultContainer lists are each matched as one
+// selector group (document order), the other lists in order.
+function extractFallbackJobs({ locationHints = [], fields = {}, selectors } = {}) {
+  const applyLinkSelectors = fields.applyLink || [];
+  const searchResults = [];
+  const mentionsLocationHint = (text) => {
+    const lower = text.toLowerCase();
+    return locationHints.some((hint) => lower.includes(hint));
+  };
+  const seenLinks = new Set(); // To avoid duplicates
+  // Same as in extractClassBasedJobs: "N days ago" text is kept for parsing
+  const readCardLines = (root, known) => {
+    const lines = (root?.innerText || '')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && line.length <= 60 && !known.includes(line));
+    const postedText = lines.find((line) => /\b(ago|just posted|today|yesterday)\b/i.test(line)) || '';
+    return { postedText, tags: lines.filter((line) => line !== postedText).slice(0, 8) };
+  };
+  const findSpecialLink = (root) => {
+    for (const selector of applyLinkSelectors) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+  
+  // Try to find all job elements
+  for (const selector of selectors.card) {
+    const elements = document.querySelectorAll(selector);
+    
+    elements.forEach((element) => {
+      // Look for job title in various possible locations
+      const jobTitle = element.querySelector(selectors.title.join(', '));
+      
+      // Look for link - could be on the title, parent, or nearby
+      const specialLink = findSpecialLink(element);
+      let linkElement = specialLink || element.querySelector('a[href]');
+      if (!linkElement && jobTitle) {
+        // Try to find link near the title
+        linkElement = jobTitle.closest('a[href]') || jobTitle.parentElement?.querySelector('a[href]');
+      }
+      if (!linkElement) {
+        // Try parent element
+        linkElement = element.closest('a[href]');
+      }
+      
+      if (jobTitle && linkElement) {
+        const title = jobTitle.innerText.trim();
+        const link = linkElement.href;
+        
+        // Skip if we've seen this link before or if title is empty
+        if (title && link && !seenLinks.has(link) && title.length > 3) {
+          seenLinks.add(link);
+          
+          // Extract company name - try multiple selectors
+          let companyName = '';
+          for (const sel of selectors.company) {
+            const companyEl = element.querySelector(sel);
+            if (companyEl) {
+              const text = companyEl.innerText.trim();
+              // Company name is usually shorter and doesn't contain location keywords
+              if (text && text.length < 100 && 
+                  !mentionsLocationHint(text) &&
+                  !text.match(/^\d+.*ago$/)) { // Not "2 days ago" type text
+                companyName = text;
+                break;
+              }
+            }
+          }
+          
+          // Extract location - look for location indicators
+          let location = '';
+          for (const sel of selectors.location) {
+            const locationEls = element.querySelectorAll(sel);
+            for (const locEl of locationEls) {
+              const text = locEl.innerText.trim();
+              // Location often contains place names or "Remote", "Hybrid" etc.
+              if (text && (mentionsLocationHint(text) ||
+                  text.toLowerCase().includes('remote') ||
+                  text.toLowerCase().includes('hybrid') ||
+                  text.match(/^[A-Z][a-z]+,\s*[A-Z]/) || // "City, State" pattern
+                  text.match(/^\d+.*ago$/) === null)) { // Not time ago
+                if (text !== companyName) { // Don't use company name as location
+                  location = text;
+                  break;
+                }
+              }
+            }
+            if (location) break;
+          }
+          
+          // Extract job description
+          let description = '';
+          for (const sel of selectors.description) {
+            const descEl = element.querySelector(sel);
+            if (descEl) {
+              const text = descEl.innerText.trim();
+              // Description is usually longer and contains job details
+              if (text && text.length > 20 && 
+                  text !== title && 
+                  text !== companyName && 
+                  text !== location &&
+                  !text.match(/^\d+.*ago$/)) {
+                description = text;
+                break;
+              }
+            }
+          }
+          
+          // If we still don't have description, try getting all text and filtering
+          if (!description) {
+            const allText = element.innerText || element.textContent || '';
+            const lines = allText.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+            for (const line of lines) {
+              if (line !== title && 
+                  line !== companyName && 
+                  line !== location &&
+                  line.length > 20 &&
+                  !line.match(/^\d+.*ago$/) &&
+                  !line.toLowerCase().includes('apply') &&
+                  !line.toLowerCase().includes('view')) {
+                description = line;
+                break;
+              }
+            }
+          }
+          
+          const applyLink = findApplyLink(element, applyLinkSelectors);
+          const { postedText, tags } = readCardLines(element, [title, companyName, location, description]);
+          searchResults.push({
+            title: title,
+            company: companyName,
+            location: location,
+            description: description,
+            link: link,
+            applyLink,
+            postedText,
+            tags
+          });
+        }
+      }
+    });
+  }
+  
+  // Also try to find jobs by looking for h3/h4 tags with links (common pattern)
+const headingElements = document.querySelectorAll(selectors.heading.join(', '));
+  headingElements.forEach((heading) => {
+    const title = heading.innerText.trim();
+    if (title && title.length > 3) {
+    const specialLink = applyLinkSelectors.map((selector) => heading.closest(selector)).find(Boolean);
+    let linkElement = specialLink || heading.closest('a[href]') || heading.parentElement?.querySelector('a[href]');
+      if (linkElement) {
+        const link = linkElement.href;
+        if (link && !seenLinks.has(link) && (link.includes('jobs') || link.includes('google.'))) {
+          seenLinks.add(link);
+          // Check if this job is not already in results
+          if (!searchResults.some(r => r.link === link)) {
+            // Try to get additional info from parent
+            const parent = heading.closest(selectors.resultContainer.join(', '));
+            let companyName = '';
+            let location = '';
+            let description = '';
+            
+          if (parent) {
+              const parentText = parent.innerText || '';
+              const lines = parentText.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+              for (const line of lines) {
+                if (line !== title) {
+                  if (!companyName && line.length < 50 && !line.match(/^\d+.*ago$/)) {
+                    companyName = line;
+                  } else if (!location && (mentionsLocationHint(line) ||
+                                           line.toLowerCase().includes('remote') ||
+                                           /^[A-Z][a-z]+,\s*[A-Z]/.test(line))) {
+                    location = line;
+                  } else if (!description && line.length > 20) {
+                    description = line;
+                  }
+                }
+              }
+            }
+            
+          const applyLink = findApplyLink(parent || heading, applyLinkSelectors);
+          const { postedText, tags } = readCardLines(parent || heading, [title, companyName, location, description]);
+          searchResults.push({
+              title: title,
+              company: companyName,
+              location: location,
+              description: description,
+            link: link,
+            applyLink,
+            postedText,
+            tags
+            });
+          }
+        }
+      }
+    }
+  });
+  
+  return searchResults; // Return all results
+}
+
+module.exports = {
+  collectHighlightedTexts,
+  extractClassBasedJobs: withLinkHelpers(extractClassBasedJobs),
+  extractFallbackJobs: withLinkHelpers(extractFallbackJobs)
+};
@@ -0,0 +1,295 @@
+// Structured search filters:
+//   { location, workplace: ['remote' | 'hybrid' | 'on-site'],
+//     datePosted: 'today' | '3days' | 'week' | 'month',
+//     employmentType: ['full-time' | 'part-time' | 'contract' | 'internship' | 'temporary'],
+//     includeKeywords: [...], excludeKeywords: [...] }
+// Location, workplace and keywords are pushed into the typed Google query;
+// date posted and employment type use the Jobs filter chips (apply-filters
+// stage). Every filter is then re-checked against the extracted jobs (filter
+// stage) and report.filters records where each one was enforced.
+
+const WORKPLACE_TYPES = ['remote', 'hybrid', 'on-site'];
+const DATE_POSTED_DAYS = {
+  today: 1,
+  '3days': 3,
+  week: 7,
+  month: 31
+};
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'internship', 'temporary'];
+
+// Text patterns used to recognise each value in a job's text
+const WORKPLACE_PATTERNS = {
+  remote: /\b(remote|work from home|wfh|anywhere)\b/,
+  hybrid: /\bhybrid\b/,
+  'on-site': /\b(on-?site|in[- ]office|on premises)\b/
+};
+const EMPLOYMENT_PATTERNS = {
+  'full-time': /\bfull[- ]?time\b/,
+  'part-time': /\bpart[- ]?time\b/,
+  contract: /\b(contract|contractor|freelance)\b/,
+  internship: /\b(internship|intern|trainee)\b/,
+  temporary: /\b(temporary|temp|seasonal)\b/
+};
+const AGE_UNITS_IN_DAYS = {
+  minute: 1 / 1440,
+  hour: 1 / 24,
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// Accept a single value, an array or a comma-separated string
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+const checkAllowed = (name, values, allowed) => {
+  const invalid = values.find((value) => !allowed.includes(value));
+  if (invalid) {
+    throw createValidationError(`${name} must be one of: ${allowed.join(', ')} (got "${invalid}")`);
+  }
+};
+
+// Normalize request input; returns null when no filter is set.
+// Throws a VALIDATION_ERROR for unknown values.
+function validateFilters(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw createValidationError('filters must be an object');
+  }
+
+  const location = typeof input.location === 'string' ? input.location.trim() : '';
+
+  const workplace = toList(input.workplace).map((value) => value.toLowerCase().replace(/^onsite$/, 'on-site'));
+  checkAllowed('filters.workplace', workplace, WORKPLACE_TYPES);
+
+  const datePosted = input.datePosted ? String(input.datePosted).trim() : '';
+  if (datePosted && !DATE_POSTED_DAYS[datePosted]) {
+    throw createValidationError(`filters.datePosted must be one of: ${Object.keys(DATE_POSTED_DAYS).join(', ')}`);
+  }
+
+  const employmentType = toList(input.employmentType).map((value) => value.toLowerCase());
+  checkAllowed('filters.employmentType', employmentType, EMPLOYMENT_TYPES);
+
+  const filters = {
+    location: location || null,
+    workplace,
+    datePosted: datePosted || null,
+    employmentType,
+    includeKeywords: toList(input.includeKeywords),
+    excludeKeywords: toList(input.excludeKeywords)
+  };
+  return hasFilters(filters) ? filters : null;
+}
+
+function hasFilters(filters) {
+  if (!filters) {
+    return false;
+  }
+  return Boolean(
+    filters.location ||
+    filters.workplace.length ||
+    filters.datePosted ||
+    filters.employmentType.length ||
+    filters.includeKeywords.length ||
+    filters.excludeKeywords.length
+  );
+}
+
+const quoteTerm = (term) => (/\s/.test(term) ? `"${term.replace(/"/g, '')}"` : term);
+
+// Add the query-expressible filters to the text typed into Google.
+// Returns the final query and one { filter, method, value } entry per
+// filter that the query now enforces.
+function buildFilteredQuery(searchQuery, filters) {
+  if (!filters) {
+    return { query: searchQuery, upstream: [] };
+  }
+  const parts = [searchQuery];
+  const upstream = [];
+  const lowerQuery = searchQuery.toLowerCase();
+
+  // Remote or hybrid narrow the results; on-site has no query form
+  if (filters.workplace.length === 1 && filters.workplace[0] !== 'on-site') {
+    const [mode] = filters.workplace;
+    if (!lowerQuery.includes(mode)) {
+      parts.push(mode);
+    }
+    upstream.push({ filter: 'workplace', method: 'query', value: mode });
+  }
+  if (filters.location) {
+    if (!lowerQuery.includes(filters.location.toLowerCase())) {
+      parts.push(`in ${filters.location}`);
+    }
+    upstream.push({ filter: 'location', method: 'query', value: filters.location });
+  }
+  if (filters.includeKeywords.length) {
+    filters.includeKeywords.forEach((keyword) => parts.push(`"${keyword.replace(/"/g, '')}"`));
+    upstream.push({ filter: 'includeKeywords', method: 'query operator', value: filters.includeKeywords });
+  }
+  if (filters.excludeKeywords.length) {
+    filters.excludeKeywords.forEach((keyword) => parts.push(`-${quoteTerm(keyword)}`));
+    upstream.push({ filter: 'excludeKeywords', method: 'query operator', value: filters.excludeKeywords });
+  }
+  return { query: parts.join(' '), upstream };
+}
+
+// Lowercase words from the location filter, handed to the fallback
+// extractor so it can recognise location lines for any region
+function getLocationHints(filters) {
+  if (!filters || !filters.location) {
+    return [];
+  }
+  return filters.location
+    .split(',')
+    .map((part) => part.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Place names the fallback extractor recognized before location filters
+// existed; used when neither the filter nor the query names a place
+const DEFAULT_LOCATION_HINTS = ['sri lanka', 'colombo'];
+
+// Lowercase place names that mark a card line as a location: the location
+// filter's and those after "in" / "near" in the search query ("Software
+// Engineer vacancies in Sri Lanka"), else DEFAULT_LOCATION_HINTS
+function getExtractionLocationHints(filters, searchQuery = '') {
+  const match = /\b(?:in|near)\s+(.+)$/i.exec(searchQuery || '');
+  const fromQuery = match
+    ? match[1].split(/,|\bor\b|\band\b/i).map((part) => part.trim().toLowerCase()).filter(Boolean)
+    : [];
+  const hints = [...new Set([...getLocationHints(filters), ...fromQuery])];
+  return hints.length ? hints : DEFAULT_LOCATION_HINTS;
+}
+
+const getJobText = (job) => [job.title, job.company, job.location, job.description, job.postedText, ...(job.tags || [])]
+  .filter(Boolean)
+  .join(' ')
+  .toLowerCase();
+
+// Age of a posting in days from lowercase text like "3 days ago" or
+// "an hour ago", or null
+function getPostedAgeDays(text) {
+  if (/\b(just posted|today)\b/.test(text)) {
+    return 0;
+  }
+  if (/\byesterday\b/.test(text)) {
+    return 1;
+  }
+  const match = text.match(/\b(\d+|an?)\+?\s*(minute|hour|day|week|month|year)s?\s+ago\b/);
+  if (!match) {
+    return null;
+  }
+  const count = /^\d/.test(match[1]) ? parseInt(match[1], 10) : 1;
+  return count * AGE_UNITS_IN_DAYS[match[2]];
+}
+
+// Check one filter against a job: true (matches), false (fails) or null
+// when the job text does not say either way
+const CHECKS = {
+  // A place inside the filtered one ("Kandy" for "Sri Lanka") reads
+  // differently, so only a match is conclusive; Google already got the
+  // location in the query
+  location: (job, filters) => {
+    const location = String(job.location || '').toLowerCase();
+    if (!location) {
+      return null;
+    }
+    return getLocationHints(filters).some((hint) => location.includes(hint)) || null;
+  },
+  workplace: (job, filters, text) => {
+    if (job.workplace) {
+      return filters.workplace.includes(job.workplace);
+    }
+    const detected = WORKPLACE_TYPES.filter((mode) => WORKPLACE_PATTERNS[mode].test(text));
+    if (!detected.length) {
+      return null;
+    }
+    return detected.some((mode) => filters.workplace.includes(mode));
+  },
+  datePosted: (job, filters, text) => {
+    // An unparseable postedAt falls back to the posted text
+    const postedAt = job.postedAt ? Date.parse(job.postedAt) : NaN;
+    const ageDays = Number.isNaN(postedAt)
+      ? getPostedAgeDays(text)
+      : (Date.now() - postedAt) / (24 * 60 * 60 * 1000);
+    return ageDays === null ? null : ageDays <= DATE_POSTED_DAYS[filters.datePosted];
+  },
+  employmentType: (job, filters, text) => {
+    if (job.employmentType) {
+      return filters.employmentType.includes(job.employmentType);
+    }
+    const detected = EMPLOYMENT_TYPES.filter((type) => EMPLOYMENT_PATTERNS[type].test(text));
+    if (!detected.length) {
+      return null;
+    }
+    return detected.some((type) => filters.employmentType.includes(type));
+  },
+  includeKeywords: (job, filters, text) => filters.includeKeywords
+    .every((keyword) => text.includes(keyword.toLowerCase())),
+  excludeKeywords: (job, filters, text) => !filters.excludeKeywords
+    .some((keyword) => text.includes(keyword.toLowerCase()))
+};
+
+const isFilterSet = (filters, name) => {
+  const value = filters[name];
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+};
+
+// Re-check every requested filter against the extracted jobs. Jobs that
+// clearly fail a filter are dropped; jobs whose text does not mention the
+// filtered attribute, or whose location or date cannot be judged, are kept
+// and counted as `unverified`.
+// Returns { jobs, local: [{ filter, checked, removed, unverified }] }
+function applyLocalFilters(jobs, filters) {
+  if (!hasFilters(filters)) {
+    return { jobs, local: [] };
+  }
+  const names = Object.keys(CHECKS).filter((name) => isFilterSet(filters, name));
+  const local = names.map((filter) => ({ filter, checked: jobs.length, removed: 0, unverified: 0 }));
+
+  const kept = jobs.filter((job) => {
+    const text = getJobText(job);
+    let keep = true;
+    names.forEach((name, index) => {
+      const result = CHECKS[name](job, filters, text);
+      if (result === null) {
+        local[index].unverified += 1;
+      } else if (!result && keep) {
+        // Count each dropped job against the first filter it fails
+        local[index].removed += 1;
+        keep = false;
+      }
+    });
+    return keep;
+  });
+  return { jobs: kept, local };
+}
+
+module.exports = {
+  WORKPLACE_TYPES,
+  DATE_POSTED_DAYS,
+  EMPLOYMENT_TYPES,
+  WORKPLACE_PATTERNS,
+  EMPLOYMENT_PATTERNS,
+  validateFilters,
+  hasFilters,
+  buildFilteredQuery,
+  getLocationHints,
+  getExtractionLocationHints,
+  getPostedAgeDays,
+  applyLocalFilters
+};
@@ -0,0 +1,656 @@
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const { getConfig } = require('./config');
+
+// Browser fingerprint profiles.
+// A profile in config/fingerprints.json (or the file named by the
+// `fingerprints.path` setting) describes one kind of machine: operating
+// system, viewport and screen, languages, CPU and memory, WebGL vendor and
+// renderer and whether the PDF viewer plugins are listed. The user agent and
+// client hints are not stored: buildFingerprint derives them from the version
+// of the Chrome actually running, so the Chrome version, brands, platform and
+// OS always agree. Runs pick a profile by name, "auto" (the one matching this
+// machine's OS) or "rotate" (a random one per run).
+// The self-check page (renderCheckPage, GET /fingerprint-check) collects what
+// a page can see and lists inconsistencies; runFingerprintCheck loads it in a
+// configured page and also compares the result with the profile.
+
+const DEFAULT_FINGERPRINTS_PATH = path.join(__dirname, '..', 'config', 'fingerprints.json');
+const SELECTION_KEYWORDS = ['auto', 'rotate'];
+// How each OS shows up in the user agent, navigator.platform and the
+// Sec-CH-UA-Platform client hint. Chrome freezes the OS version in the user
+// agent, so every Mac reports "Intel Mac OS X 10_15_7".
+const OS_TRAITS = {
+  windows: { uaToken: 'Windows NT 10.0; Win64; x64', platform: 'Win32', hintPlatform: 'Windows' },
+  mac: { uaToken: 'Macintosh; Intel Mac OS X 10_15_7', platform: 'MacIntel', hintPlatform: 'macOS' },
+  linux: { uaToken: 'X11; Linux x86_64', platform: 'Linux x86_64', hintPlatform: 'Linux' }
+};
+const HOST_OS = { win32: 'windows', darwin: 'mac', linux: 'linux' };
+// navigator.deviceMemory is rounded to one of these
+const DEVICE_MEMORY_VALUES = [0.25, 0.5, 1, 2, 4, 8];
+// What desktop Chrome lists in navigator.plugins since version 94
+const PDF_PLUGIN_NAMES = [
+  'PDF Viewer',
+  'Chrome PDF Viewer',
+  'Chromium PDF Viewer',
+  'Microsoft Edge PDF Viewer',
+  'WebKit built-in PDF'
+];
+
+function createConfigError(message) {
+  const error = new Error(`Invalid fingerprint config: ${message}`);
+  error.code = 'INVALID_FINGERPRINT_CONFIG';
+  return error;
+}
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+function validateProfile(profile, label) {
+  if (!OS_TRAITS[profile.os]) {
+    throw createConfigError(`${label} os must be one of: ${Object.keys(OS_TRAITS).join(', ')}`);
+  }
+  if (typeof profile.platformVersion !== 'string') {
+    throw createConfigError(`${label} platformVersion must be a string`);
+  }
+  if (!['x86', 'arm'].includes(profile.architecture)) {
+    throw createConfigError(`${label} architecture must be x86 or arm`);
+  }
+  const { viewport, screen } = profile;
+  if (!viewport || !isPositiveInteger(viewport.width) || !isPositiveInteger(viewport.height) ||
+    typeof viewport.deviceScaleFactor !== 'number' || viewport.deviceScaleFactor <= 0) {
+    throw createConfigError(`${label} viewport needs integer width and height and a positive deviceScaleFactor`);
+  }
+  if (!screen || !['width', 'height', 'availWidth', 'availHeight'].every((name) => isPositiveInteger(screen[name]))) {
+    throw createConfigError(`${label} screen needs integer width, height, availWidth and availHeight`);
+  }
+  if (screen.availWidth > screen.width || screen.availHeight > screen.height) {
+    throw createConfigError(`${label} screen availWidth/availHeight must fit the screen`);
+  }
+  if (viewport.width > screen.availWidth || viewport.height > screen.availHeight) {
+    throw createConfigError(`${label} viewport must fit the available screen area`);
+  }
+  if (!Array.isArray(profile.languages) || !profile.languages.length ||
+    !profile.languages.every((language) => typeof language === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language))) {
+    throw createConfigError(`${label} languages must be a non-empty array of language codes`);
+  }
+  if (!isPositiveInteger(profile.hardwareConcurrency)) {
+    throw createConfigError(`${label} hardwareConcurrency must be a positive integer`);
+  }
+  if (!DEVICE_MEMORY_VALUES.includes(profile.deviceMemory)) {
+    throw createConfigError(`${label} deviceMemory must be one of: ${DEVICE_MEMORY_VALUES.join(', ')}`);
+  }
+  if (!profile.webgl || typeof profile.webgl.vendor !== 'string' || typeof profile.webgl.renderer !== 'string') {
+    throw createConfigError(`${label} webgl needs vendor and renderer strings`);
+  }
+  if (typeof profile.pdfViewer !== 'boolean') {
+    throw createConfigError(`${label} pdfViewer must be a boolean`);
+  }
+}
+
+// Check a parsed config object; throws INVALID_FINGERPRINT_CONFIG errors
+function validateFingerprintConfig(config) {
+  if (!config || typeof config !== 'object') {
+    throw createConfigError('expected an object');
+  }
+  if (!Number.isInteger(config.version) || config.version < 1) {
+    throw createConfigError('version must be a positive integer');
+  }
+  if (!Array.isArray(config.profiles) || !config.profiles.length) {
+    throw createConfigError('profiles must be a non-empty array');
+  }
+  const names = new Set();
+  config.profiles.forEach((profile, index) => {
+    const label = profile && profile.name ? `profile "${profile.name}"` : `profile #${index + 1}`;
+    if (!profile || typeof profile.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(profile.name)) {
+      throw createConfigError(`${label} needs a name of letters, digits, "-" and "_"`);
+    }
+    if (SELECTION_KEYWORDS.includes(profile.name.toLowerCase())) {
+      throw createConfigError(`${label}: "${profile.name}" is reserved`);
+    }
+    if (names.has(profile.name.toLowerCase())) {
+      throw createConfigError(`duplicate profile name "${profile.name}"`);
+    }
+    names.add(profile.name.toLowerCase());
+    validateProfile(profile, label);
+  });
+  return config;
+}
+
+let cached = null;
+
+// Current fingerprint config, reloaded when the file's modification time
+// changes. Returns { path, config, loadedAt }.
+function getFingerprintConfig(filePath = getConfig().values.fingerprints.path || DEFAULT_FINGERPRINTS_PATH) {
+  const mtimeMs = fs.statSync(filePath).mtimeMs;
+  if (cached && cached.path === filePath && cached.mtimeMs === mtimeMs) {
+    return cached;
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw createConfigError(`${filePath}: ${error.message}`);
+  }
+  cached = { path: filePath, mtimeMs, config: validateFingerprintConfig(config), loadedAt: new Date().toISOString() };
+  return cached;
+}
+
+// The profile a run asked for: a profile name (case-insensitive), "auto" for
+// the first profile of this machine's OS (else the first one) or "rotate" for
+// a random profile
+function selectFingerprintProfile(selection, {
+  profiles = getFingerprintConfig().config.profiles,
+  platform = process.platform,
+  random = Math.random
+} = {}) {
+  if (typeof selection !== 'string' || !selection.trim()) {
+    throw createValidationError(`fingerprint must be a profile name, ${SELECTION_KEYWORDS.join(' or ')}`);
+  }
+  const wanted = selection.trim().toLowerCase();
+  if (wanted === 'auto') {
+    return profiles.find((profile) => profile.os === HOST_OS[platform]) || profiles[0];
+  }
+  if (wanted === 'rotate') {
+    return profiles[Math.floor(random() * profiles.length)];
+  }
+  const profile = profiles.find((entry) => entry.name.toLowerCase() === wanted);
+  if (!profile) {
+    throw createValidationError(
+      `Fingerprint profile "${selection}" not found (available: ${profiles.map((entry) => entry.name).join(', ')}, ${SELECTION_KEYWORDS.join(', ')})`
+    );
+  }
+  return profile;
+}
+
+// Chromium builds are not branded "Google Chrome"
+function getBrowserProduct(chromePath) {
+  return /chromium/i.test(chromePath || '') ? 'chromium' : 'chrome';
+}
+
+// The brand list Chrome sends for `major`, including the GREASE brand and
+// the order it shuffles them into (see Chromium's user_agent_utils.cc)
+function getUserAgentBrands(major, product, version = String(major)) {
+  const greaseChars = [' ', '(', ':', '-', '.', '/', ')', ';', '=', '?', '_'];
+  const greaseVersions = ['8', '99', '24'];
+  const grease = {
+    brand: `Not${greaseChars[major % 11]}A${greaseChars[(major + 1) % 11]}Brand`,
+    version: version === String(major) ? greaseVersions[major % 3] : `${greaseVersions[major % 3]}.0.0.0`
+  };
+  const brands = [grease, { brand: 'Chromium', version }];
+  if (product === 'chrome') {
+    brands.push({ brand: 'Google Chrome', version });
+  }
+  const orders = brands.length === 3
+    ? [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]]
+    : [[0, 1], [1, 0]];
+  const order = orders[major % orders.length];
+  const shuffled = [];
+  brands.forEach((brand, index) => {
+    shuffled[order[index]] = brand;
+  });
+  return shuffled;
+}
+
+// Languages from an Accept-Language value ("en-LK,en;q=0.9" -> en-LK, en)
+function parseAcceptLanguage(value) {
+  return value.split(',').map((part) => part.split(';')[0].trim()).filter((part) => part && part !== '*');
+}
+
+// Accept-Language for a language list: en-US,en;q=0.9,...
+function toAcceptLanguage(languages) {
+  return languages
+    .map((language, index) => (index ? `${language};q=${Math.max(0.1, 1 - index / 10).toFixed(1)}` : language))
+    .join(',');
+}
+
+// The complete fingerprint of a run: `profile` with the user agent and
+// client hints of `browserVersion` (browser.version(), e.g.
+// "HeadlessChrome/120.0.6099.109"). `acceptLanguage` (the run's locale)
+// replaces the profile's languages.
+function buildFingerprint(profile, browserVersion, { product = 'chrome', acceptLanguage = null } = {}) {
+  const match = /(\d+)\.\d+\.\d+\.\d+/.exec(browserVersion || '');
+  if (!match) {
+    throw new Error(`Cannot read the Chrome version from "${browserVersion}"`);
+  }
+  const fullVersion = match[0];
+  const major = Number(match[1]);
+  const traits = OS_TRAITS[profile.os];
+  const languages = acceptLanguage ? parseAcceptLanguage(acceptLanguage) : profile.languages;
+  return {
+    name: profile.name,
+    os: profile.os,
+    product,
+    chromeVersion: fullVersion,
+    // Chrome's reduced user agent: minor, build and patch are always 0
+    userAgent: `Mozilla/5.0 (${traits.uaToken}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Safari/537.36`,
+    userAgentMetadata: {
+      brands: getUserAgentBrands(major, product),
+      fullVersionList: getUserAgentBrands(major, product, fullVersion),
+      fullVersion,
+      platform: traits.hintPlatform,
+      platformVersion: profile.platformVersion,
+      architecture: profile.architecture,
+      model: '',
+      mobile: false,
+      bitness: '64',
+      wow64: false
+    },
+    platform: traits.platform,
+    viewport: profile.viewport,
+    screen: profile.screen,
+    languages,
+    acceptLanguage: acceptLanguage || toAcceptLanguage(languages),
+    hardwareConcurrency: profile.hardwareConcurrency,
+    deviceMemory: profile.deviceMemory,
+    webgl: profile.webgl,
+    plugins: profile.pdfViewer ? PDF_PLUGIN_NAMES : []
+  };
+}
+
+// Select a profile and build the fingerprint for `browser`
+async function resolveFingerprint(browser, selection, { chromePath, acceptLanguage } = {}) {
+  const profile = typeof selection === 'object' && selection !== null
+    ? selection
+    : selectFingerprintProfile(selection);
+  return buildFingerprint(profile, await browser.version(), {
+    product: getBrowserProduct(chromePath),
+    acceptLanguage
+  });
+}
+
+// Runs in every new document (self-contained). Overrides sit on the
+// prototypes, as the native getters do, and report native code to
+// Function.prototype.toString.
+function installFingerprint(fingerprint) {
+  const nativeToString = Function.prototype.toString;
+  const disguised = new WeakMap();
+  const disguise = (fn, name) => {
+    disguised.set(fn, `function ${name}() { [native code] }`);
+    return fn;
+  };
+  const toString = disguise(function toString() {
+    return disguised.has(this) ? disguised.get(this) : nativeToString.call(this);
+  }, 'toString');
+  Function.prototype.toString = toString;
+
+  const defineGetter = (target, name, value) => {
+    const descriptor = Object.getOwnPropertyDescriptor(target, name);
+    Object.defineProperty(target, name, {
+      get: disguise(function () {
+        return value;
+      }, `get ${name}`),
+      configurable: true,
+      enumerable: descriptor ? descriptor.enumerable : true
+    });
+  };
+
+  defineGetter(Navigator.prototype, 'webdriver', false);
+  defineGetter(Navigator.prototype, 'platform', fingerprint.platform);
+  defineGetter(Navigator.prototype, 'hardwareConcurrency', fingerprint.hardwareConcurrency);
+  if ('deviceMemory' in Navigator.prototype) {
+    defineGetter(Navigator.prototype, 'deviceMemory', fingerprint.deviceMemory);
+  }
+  defineGetter(Navigator.prototype, 'languages', Object.freeze(fingerprint.languages.slice()));
+  defineGetter(Navigator.prototype, 'language', fingerprint.languages[0]);
+  ['width', 'height', 'availWidth', 'availHeight'].forEach((name) => {
+    defineGetter(Screen.prototype, name, fingerprint.screen[name]);
+  });
+
+  // UNMASKED_VENDOR_WEBGL / UNMASKED_RENDERER_WEBGL
+  [window.WebGLRenderingContext, window.WebGL2RenderingContext].filter(Boolean).forEach((Context) => {
+    const original = Context.prototype.getParameter;
+    Context.prototype.getParameter = disguise(function getParameter(parameter) {
+      if (parameter === 0x9245) {
+        return fingerprint.webgl.vendor;
+      }
+      if (parameter === 0x9246) {
+        return fingerprint.webgl.renderer;
+      }
+      return original.call(this, parameter);
+    }, 'getParameter');
+  });
+
+  // Old headless builds list no plugins; real Chrome lists its PDF viewer
+  if (fingerprint.plugins.length && navigator.plugins.length === 0) {
+    const plugins = fingerprint.plugins.map((name) => {
+      const plugin = Object.create(Plugin.prototype);
+      Object.defineProperties(plugin, {
+        name: { value: name },
+        filename: { value: 'internal-pdf-viewer' },
+        description: { value: 'Portable Document Format' },
+        length: { value: 0 }
+      });
+      return plugin;
+    });
+    const pluginArray = Object.create(PluginArray.prototype);
+    plugins.forEach((plugin, index) => {
+      Object.defineProperty(pluginArray, index, { value: plugin, enumerable: true });
+    });
+    Object.defineProperties(pluginArray, {
+      length: { value: plugins.length },
+      item: { value: disguise((index) => plugins[index] || null, 'item') },
+      namedItem: { value: disguise((name) => plugins.find((plugin) => plugin.name === name) || null, 'namedItem') },
+      refresh: { value: disguise(() => {}, 'refresh') }
+    });
+    defineGetter(Navigator.prototype, 'plugins', pluginArray);
+  }
+
+  if (!window.chrome) {
+    Object.defineProperty(window, 'chrome', {
+      value: { runtime: {} },
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+  }
+}
+
+// Apply a fingerprint to a page before it loads anything: viewport, user
+// agent with client hints, Accept-Language and the in-page overrides
+async function applyFingerprint(page, fingerprint) {
+  await page.setViewport({
+    width: fingerprint.viewport.width,
+    height: fingerprint.viewport.height,
+    deviceScaleFactor: fingerprint.viewport.deviceScaleFactor
+  });
+  await page.setUserAgent(fingerprint.userAgent, fingerprint.userAgentMetadata);
+  await page.setExtraHTTPHeaders({ 'Accept-Language': fingerprint.acceptLanguage });
+  await page.evaluateOnNewDocument(installFingerprint, fingerprint);
+}
+
+// What report.metadata.fingerprint records
+function describeFingerprint(fingerprint) {
+  return {
+    name: fingerprint.name,
+    os: fingerprint.os,
+    chromeVersion: fingerprint.chromeVersion,
+    userAgent: fingerprint.userAgent,
+    platform: fingerprint.platform,
+    viewport: fingerprint.viewport,
+    languages: fingerprint.languages,
+    webglRenderer: fingerprint.webgl.renderer
+  };
+}
+
+// Runs on the check page (self-contained): everything the checks look at
+async function collectFingerprint() {
+  const observed = {
+    userAgent: navigator.userAgent,
+    platform: navigator.platform,
+    languages: Array.from(navigator.languages || []),
+    language: navigator.language,
+    hardwareConcurrency: navigator.hardwareConcurrency,
+    deviceMemory: navigator.deviceMemory === undefined ? null : navigator.deviceMemory,
+    webdriver: navigator.webdriver,
+    plugins: {
+      count: navigator.plugins.length,
+      names: Array.from(navigator.plugins).map((plugin) => plugin.name),
+      isPluginArray: navigator.plugins instanceof PluginArray
+    },
+    chrome: typeof window.chrome === 'object' && window.chrome !== null,
+    screen: {
+      width: screen.width,
+      height: screen.height,
+      availWidth: screen.availWidth,
+      availHeight: screen.availHeight
+    },
+    viewport: { width: window.innerWidth, height: window.innerHeight, deviceScaleFactor: window.devicePixelRatio },
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    userAgentData: null,
+    webgl: null
+  };
+  if (navigator.userAgentData) {
+    const highEntropy = await navigator.userAgentData.getHighEntropyValues([
+      'architecture', 'bitness', 'fullVersionList', 'model', 'platformVersion'
+    ]);
+    observed.userAgentData = {
+      brands: navigator.userAgentData.brands.map(({ brand, version }) => ({ brand, version })),
+      mobile: navigator.userAgentData.mobile,
+      platform: navigator.userAgentData.platform,
+      architecture: highEntropy.architecture,
+      bitness: highEntropy.bitness,
+      fullVersionList: (highEntropy.fullVersionList || []).map(({ brand, version }) => ({ brand, version })),
+      model: highEntropy.model,
+      platformVersion: highEntropy.platformVersion
+    };
+  }
+  try {
+    const gl = document.createElement('canvas').getContext('webgl');
+    if (gl) {
+      observed.webgl = { vendor: gl.getParameter(0x9245), renderer: gl.getParameter(0x9246) };
+    }
+  } catch (e) {
+    // Reported as missing WebGL
+  }
+  return observed;
+}
+
+// Inconsistencies in what a page observed (collectFingerprint), and with
+// `expected` (a fingerprint) when given. Self-contained: the check page runs
+// it too. Returns [{ check, message }].
+function findInconsistencies(observed, expected) {
+  const issues = [];
+  const add = (check, message) => issues.push({ check, message });
+  const osOf = (value, patterns) => Object.keys(patterns).find((os) => patterns[os].test(value || '')) || null;
+
+  const userAgent = observed.userAgent || '';
+  const uaMajor = (/Chrome\/(\d+)/.exec(userAgent) || [])[1] || null;
+  const uaOs = osOf(userAgent, { windows: /Windows NT/, mac: /Macintosh/, linux: /X11|Linux|CrOS/ });
+  if (/HeadlessChrome/.test(userAgent)) {
+    add('userAgent', 'The user agent says HeadlessChrome');
+  }
+  if (!uaMajor) {
+    add('userAgent', 'The user agent has no Chrome version');
+  }
+  const platformOs = osOf(observed.platform, { windows: /^Win/, mac: /^Mac/, linux: /^Linux/ });
+  if (uaOs && platformOs !== uaOs) {
+    add('platform', `navigator.platform "${observed.platform}" does not match the ${uaOs} user agent`);
+  }
+
+  const hints = observed.userAgentData;
+  if (!hints) {
+    add('clientHints', 'navigator.userAgentData is missing');
+  } else {
+    const chromium = hints.brands.find((entry) => entry.brand === 'Chromium');
+    if (!chromium) {
+      add('clientHints', 'The client hint brands do not include Chromium');
+    } else if (uaMajor && chromium.version !== uaMajor) {
+      add('clientHints', `The client hints say Chromium ${chromium.version} but the user agent says ${uaMajor}`);
+    }
+    const hintOs = osOf(hints.platform, { windows: /^Windows$/, mac: /^macOS$/, linux: /^(Linux|Chrome OS)$/ });
+    if (uaOs && hintOs !== uaOs) {
+      add('clientHints', `The client hint platform "${hints.platform}" does not match the ${uaOs} user agent`);
+    }
+    if (hints.mobile) {
+      add('clientHints', 'The client hints claim a mobile device');
+    }
+    const fullChromium = (hints.fullVersionList || []).find((entry) => entry.brand === 'Chromium');
+    if (fullChromium && chromium && fullChromium.version.split('.')[0] !== chromium.version) {
+      add('clientHints', `The full version list says Chromium ${fullChromium.version} but the brands say ${chromium.version}`);
+    }
+  }
+
+  if (observed.webdriver) {
+    add('webdriver', 'navigator.webdriver is true');
+  }
+  if (!observed.languages.length) {
+    add('languages', 'navigator.languages is empty');
+  } else if (observed.language !== observed.languages[0]) {
+    add('languages', `navigator.language "${observed.language}" is not the first of navigator.languages`);
+  }
+  const { viewport, screen } = observed;
+  if (viewport.width > screen.width || viewport.height > screen.height) {
+    add('viewport', `The window (${viewport.width}x${viewport.height}) is larger than the screen (${screen.width}x${screen.height})`);
+  }
+  if (screen.availWidth > screen.width || screen.availHeight > screen.height) {
+    add('screen', 'The available screen area is larger than the screen');
+  }
+
+  if (!observed.webgl) {
+    add('webgl', 'WebGL is not available');
+  } else {
+    const renderer = observed.webgl.renderer || '';
+    if (/SwiftShader|llvmpipe|softpipe/i.test(renderer)) {
+      add('webgl', `The software WebGL renderer "${renderer}" points to a headless browser or a virtual machine`);
+    }
+    const rendererOs = osOf(renderer, { windows: /Direct3D|D3D\d/, mac: /Metal|Apple/, linux: /OpenGL|Mesa/ });
+    if (uaOs && rendererOs && rendererOs !== uaOs) {
+      add('webgl', `The WebGL renderer "${renderer}" does not fit the ${uaOs} user agent`);
+    }
+  }
+  if (!observed.plugins.isPluginArray) {
+    add('plugins', 'navigator.plugins is not a PluginArray');
+  }
+  if (!observed.plugins.count) {
+    add('plugins', 'navigator.plugins is empty; desktop Chrome lists its PDF viewer');
+  }
+  if (!observed.chrome) {
+    add('chrome', 'window.chrome is missing');
+  }
+
+  if (expected) {
+    const compare = (check, label, actual, wanted) => {
+      if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+        add(check, `${label} is ${JSON.stringify(actual)}, the profile says ${JSON.stringify(wanted)}`);
+      }
+    };
+    compare('userAgent', 'The user agent', userAgent, expected.userAgent);
+    compare('platform', 'navigator.platform', observed.platform, expected.platform);
+    compare('languages', 'navigator.languages', observed.languages, expected.languages);
+    compare('hardware', 'navigator.hardwareConcurrency', observed.hardwareConcurrency, expected.hardwareConcurrency);
+    if (observed.deviceMemory !== null) {
+      compare('hardware', 'navigator.deviceMemory', observed.deviceMemory, expected.deviceMemory);
+    }
+    compare('viewport', 'The viewport', [viewport.width, viewport.height], [expected.viewport.width, expected.viewport.height]);
+    compare('screen', 'The screen', [screen.width, screen.height], [expected.screen.width, expected.screen.height]);
+    if (observed.webgl) {
+      compare('webgl', 'The WebGL renderer', observed.webgl.renderer, expected.webgl.renderer);
+    }
+    if (hints) {
+      compare('clientHints', 'The client hint platform', hints.platform, expected.userAgentMetadata.platform);
+      const fullChromium = (hints.fullVersionList || []).find((entry) => entry.brand === 'Chromium');
+      if (fullChromium) {
+        compare('clientHints', 'The Chromium version', fullChromium.version, expected.chromeVersion);
+      }
+    }
+  }
+  return issues;
+}
+
+// The self-check page: collects the fingerprint of whatever browser opens it,
+// shows the inconsistencies and leaves { observed, issues } in
+// window.fingerprintReport
+function renderCheckPage() {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Fingerprint self-check</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; max-width: 60em; }
+    .ok { color: #1a7f37; }
+    .issues { color: #b42318; }
+    pre { background: #f5f5f5; padding: 1em; overflow: auto; }
+  </style>
+</head>
+<body>
+  <h1>Fingerprint self-check</h1>
+  <p id="status">Checking...</p>
+  <ul id="issues"></ul>
+  <h2>What this page sees</h2>
+  <pre id="observed"></pre>
+  <script>
+    const collectFingerprint = ${collectFingerprint.toString()};
+    const findInconsistencies = ${findInconsistencies.toString()};
+    collectFingerprint().then((observed) => {
+      const issues = findInconsistencies(observed, null);
+      window.fingerprintReport = { observed, issues };
+      const status = document.getElementById('status');
+      status.textContent = issues.length ? issues.length + ' inconsistencies found' : 'No inconsistencies found';
+      status.className = issues.length ? 'issues' : 'ok';
+      issues.forEach((issue) => {
+        const item = document.createElement('li');
+        item.textContent = issue.check + ': ' + issue.message;
+        document.getElementById('issues').appendChild(item);
+      });
+      document.getElementById('observed').textContent = JSON.stringify(observed, null, 2);
+    }).catch((error) => {
+      window.fingerprintReport = { error: error.message };
+      document.getElementById('status').textContent = 'Check failed: ' + error.message;
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+// Serve the check page on a free loopback port (a secure context, so the
+// client hints are readable). Resolves to { url, close }.
+function startCheckServer() {
+  const html = renderCheckPage();
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        close: () => new Promise((done) => {
+          server.close(() => done());
+          // The browser keeps its connection alive
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+// Load the check page in `page` (already configured with `fingerprint`) and
+// compare what it sees with the fingerprint. Resolves to
+//   { profile, ok, issues, observed, checkedAt }
+async function runFingerprintCheck(page, fingerprint, { timeoutMs = 15000 } = {}) {
+  const server = await startCheckServer();
+  try {
+    await page.goto(server.url, { waitUntil: 'load', timeout: timeoutMs });
+    await page.waitForFunction(() => window.fingerprintReport, { timeout: timeoutMs });
+    const { observed, error } = await page.evaluate(() => window.fingerprintReport);
+    if (error) {
+      throw new Error(`Fingerprint check page failed: ${error}`);
+    }
+    const issues = findInconsistencies(observed, fingerprint);
+    return {
+      profile: fingerprint ? fingerprint.name : null,
+      ok: !issues.length,
+      issues,
+      observed,
+      checkedAt: new Date().toISOString()
+    };
+  } finally {
+    await server.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_FINGERPRINTS_PATH,
+  validateFingerprintConfig,
+  getFingerprintConfig,
+  selectFingerprintProfile,
+  getBrowserProduct,
+  getUserAgentBrands,
+  buildFingerprint,
+  resolveFingerprint,
+  applyFingerprint,
+  describeFingerprint,
+  findInconsistencies,
+  renderCheckPage,
+  runFingerprintCheck
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const fs = require('fs');
+
+// Saved Google Jobs pages used to run the extractors without a network
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// List the HTML snapshots available in the fixtures directory
+function listFixtures(fixturesDir = FIXTURES_DIR) {
+  try {
+    return fs.readdirSync(fixturesDir)
+      .filter((name) => /\.html?$/i.test(name))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+// Resolve a fixture name to a file inside the fixtures directory.
+// Names that would escape the directory are rejected.
+function resolveFixturePath(name, fixturesDir = FIXTURES_DIR) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Fixture name is required');
+  }
+  const resolved = path.resolve(fixturesDir, trimmed);
+  if (path.dirname(resolved) !== path.resolve(fixturesDir)) {
+    throw new Error(`Invalid fixture name "${trimmed}"`);
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Fixture "${trimmed}" not found`);
+  }
+  return resolved;
+}
+
+// Path of the expected jobs file that sits next to a fixture
+function getExpectedJobsPath(fixturePath) {
+  return fixturePath.replace(/\.html?$/i, '.expected.json');
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  listFixtures,
+  resolveFixturePath,
+  getExpectedJobsPath
+};
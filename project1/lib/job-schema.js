@@ -0,0 +1,331 @@
+const {
+  WORKPLACE_TYPES,
+  EMPLOYMENT_TYPES,
+  WORKPLACE_PATTERNS,
+  EMPLOYMENT_PATTERNS,
+  getPostedAgeDays
+} = require('./filters');
+const { LINK_TYPES, classifyLink } = require('./links');
+
+// Job schema returned by the API (report.jobs). Bump JOB_SCHEMA_VERSION
+// whenever a field is added, removed or changes meaning; reports carry the
+// version they were produced with in `jobSchemaVersion`.
+//   title, company, location, description - as extracted
+//   link, applyLink  - canonical URLs (lib/links.js): redirects unwrapped,
+//                      tracking parameters removed, applyLink followed to
+//                      its final employer / ATS page
+//   applyLinkType    - employer | ats | aggregator, or null without a link
+//   originalApplyLink - the apply link as found, when it differs
+//   city, country    - canonical parts of `location`, null when unknown
+//   postedAt         - ISO date, from the site's date or relative text
+//   postedText       - the site's own wording ("3 days ago")
+//   salary           - { min, max, currency: LKR | USD, period, text } or null
+//   employmentType   - one of EMPLOYMENT_TYPES or null
+//   seniority        - one of SENIORITY_LEVELS or null
+//   workplace        - remote | hybrid | on-site, or null
+//   isRemote         - true for remote postings
+//   tags             - short labels shown with the posting
+//   source, sources  - provider(s) that listed the job
+// Other fields a stage adds (searchResult, isNew, ...) are passed through.
+const JOB_SCHEMA_VERSION = 2;
+
+const SENIORITY_LEVELS = ['intern', 'entry', 'mid', 'senior', 'lead', 'manager', 'director', 'executive'];
+const SALARY_CURRENCIES = ['LKR', 'USD'];
+const SALARY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+
+// field -> { type, nullable, values }
+const JOB_SCHEMA = {
+  title: { type: 'string' },
+  company: { type: 'string' },
+  location: { type: 'string' },
+  city: { type: 'string', nullable: true },
+  country: { type: 'string', nullable: true },
+  description: { type: 'string' },
+  link: { type: 'string' },
+  applyLink: { type: 'string' },
+  applyLinkType: { type: 'string', nullable: true, values: LINK_TYPES },
+  originalApplyLink: { type: 'string', nullable: true },
+  postedAt: { type: 'date', nullable: true },
+  postedText: { type: 'string', nullable: true },
+  salary: { type: 'salary', nullable: true },
+  employmentType: { type: 'string', nullable: true, values: EMPLOYMENT_TYPES },
+  seniority: { type: 'string', nullable: true, values: SENIORITY_LEVELS },
+  workplace: { type: 'string', nullable: true, values: WORKPLACE_TYPES },
+  isRemote: { type: 'boolean' },
+  tags: { type: 'array' },
+  source: { type: 'string', nullable: true },
+  sources: { type: 'array' }
+};
+
+// Checked in order; the first match wins ("Senior Manager" is a manager,
+// "Vice President" a director). "Executive" alone is a common junior title
+// in Sri Lanka, so only C-level words mean executive.
+const SENIORITY_PATTERNS = [
+  ['intern', /\b(intern|internship|trainee|apprentice)\b/],
+  ['director', /\b(director|head of|vp|vice president)\b/],
+  ['executive', /\b(chief|ceo|cto|cfo|coo|cio|president)\b/],
+  ['manager', /\bmanager\b/],
+  ['lead', /\b(lead|principal|staff|architect)\b/],
+  ['senior', /\b(senior|sr|snr)\b/],
+  ['mid', /\b(mid[- ]level|intermediate|ii|iii)\b/],
+  ['entry', /\b(junior|jr|entry[- ]level|graduate|associate|fresher)\b/]
+];
+
+// A currency token starts a word: "rs" at the end of "engineers" or
+// "Hours" is not rupees
+const CURRENCY = '(?<![a-z])(lkr|rs\\.?|rupees|usd|us\\$|\\$)';
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*([km])?(?![a-z\\d])';
+const SALARY_PATTERN = new RegExp(
+  `(?:${CURRENCY}\\s*)?${AMOUNT}(?:\\s*(?:-|–|—|to)\\s*(?:${CURRENCY}\\s*)?${AMOUNT})?(?:\\s*(?<![a-z])(lkr|usd|rs\\.?)(?![a-z]))?`,
+  'gi'
+);
+const PERIOD_PATTERNS = [
+  ['hour', /\b(per|an|a|\/)\s*(hour|hr)\b|\bhourly\b/],
+  ['day', /\b(per|a|\/)\s*day\b|\bdaily\b/],
+  ['week', /\b(per|a|\/)\s*week\b|\bweekly\b/],
+  ['month', /\b(per|a|\/)\s*(month|mo)\b|\bmonthly\b/],
+  ['year', /\b(per|a|an|\/)\s*(year|yr|annum)\b|\b(yearly|annually|annual)\b|\bp\.?a\.?(?![a-z])/]
+];
+
+const COUNTRIES = {
+  'sri lanka': 'Sri Lanka',
+  lk: 'Sri Lanka',
+  'united states': 'United States',
+  usa: 'United States',
+  us: 'United States',
+  'united kingdom': 'United Kingdom',
+  uk: 'United Kingdom',
+  india: 'India',
+  maldives: 'Maldives',
+  singapore: 'Singapore',
+  australia: 'Australia',
+  canada: 'Canada',
+  germany: 'Germany',
+  netherlands: 'Netherlands',
+  'united arab emirates': 'United Arab Emirates',
+  uae: 'United Arab Emirates',
+  qatar: 'Qatar'
+};
+// Places that imply Sri Lanka when no country is named
+const SRI_LANKAN_CITIES = [
+  'colombo', 'kandy', 'galle', 'jaffna', 'negombo', 'kurunegala', 'matara', 'gampaha', 'kalutara',
+  'moratuwa', 'dehiwala', 'mount lavinia', 'battaramulla', 'malabe', 'nugegoda', 'rajagiriya',
+  'kotte', 'trincomalee', 'batticaloa', 'anuradhapura', 'ratnapura', 'badulla', 'ja-ela', 'wattala',
+  'kelaniya', 'panadura', 'homagama', 'maharagama'
+];
+const US_STATE = /^[A-Z]{2}$/;
+const WORKPLACE_WORDS = /\b(remote|hybrid|on-?site|work from home|wfh|anywhere)\b|[()]/gi;
+
+// ISO date for text like "3 days ago", "Posted yesterday" or "12 Oct 2026",
+// relative to `now`; null when the text has no date
+function parsePostedDate(text, now = Date.now()) {
+  const lower = String(text || '').toLowerCase();
+  if (!lower) {
+    return null;
+  }
+  const ageDays = getPostedAgeDays(lower);
+  if (ageDays !== null) {
+    return new Date(now - ageDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (/\b(19|20)\d{2}\b/.test(lower)) {
+    const date = new Date(lower.replace(/^posted\s+(on\s+)?/, ''));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  return null;
+}
+
+const toAmount = (digits, multiplier) => {
+  const value = parseFloat(digits.replace(/,/g, ''));
+  const scale = { k: 1e3, m: 1e6 }[(multiplier || '').toLowerCase()] || 1;
+  return Math.round(value * scale);
+};
+
+const toCurrency = (token) => {
+  if (!token) {
+    return null;
+  }
+  return /^(lkr|rs|rupees)/i.test(token) ? 'LKR' : 'USD';
+};
+
+// Salary from text like "LKR 150K–200K a month", "Rs. 85,000" or
+// "$80k - $100k per year": { min, max, currency, period, text } or null.
+// Only amounts next to an LKR/USD marker count.
+function parseSalary(text) {
+  const source = String(text || '');
+  SALARY_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = SALARY_PATTERN.exec(source))) {
+    const [matched, prefix, minDigits, minScale, rangeCurrency, maxDigits, maxScale, suffix] = match;
+    const currency = toCurrency(prefix || rangeCurrency || suffix);
+    if (!currency) {
+      continue;
+    }
+    // "150-200K": the second amount's K applies to both
+    const min = toAmount(minDigits, minScale || (maxDigits && !minScale ? maxScale : ''));
+    const max = maxDigits ? toAmount(maxDigits, maxScale) : min;
+    const rest = source.slice(match.index + matched.length, match.index + matched.length + 30).toLowerCase();
+    const period = (PERIOD_PATTERNS.find(([, pattern]) => pattern.test(rest)) || [null])[0];
+    return {
+      min: Math.min(min, max),
+      max: Math.max(min, max),
+      currency,
+      period,
+      text: matched.trim()
+    };
+  }
+  return null;
+}
+
+const detect = (patterns, texts) => {
+  for (const text of texts) {
+    const found = patterns.find(([, pattern]) => pattern.test(text));
+    if (found) {
+      return found[0];
+    }
+  }
+  return null;
+};
+
+function parseSeniority(title) {
+  return detect(SENIORITY_PATTERNS, [String(title || '').toLowerCase()]);
+}
+
+// Hybrid wins over remote ("hybrid remote"), remote over on-site
+function parseWorkplace(texts) {
+  const lower = texts.map((text) => String(text || '').toLowerCase());
+  return detect(['hybrid', 'remote', 'on-site'].map((type) => [type, WORKPLACE_PATTERNS[type]]), [lower.join(' ')]);
+}
+
+function parseEmploymentType(texts) {
+  const patterns = EMPLOYMENT_TYPES.map((type) => [type, EMPLOYMENT_PATTERNS[type]]);
+  return detect(patterns, texts.map((text) => String(text || '').toLowerCase()));
+}
+
+// Canonical { city, country } of a location line such as
+// "Colombo 03, Western Province, Sri Lanka" or "Remote - Sri Lanka"
+function parseLocation(location) {
+  const parts = String(location || '')
+    .replace(WORKPLACE_WORDS, ' ')
+    .split(/\s*(?:,|\||·|•|\s-\s)\s*/)
+    .map((part) => part.trim().replace(/^-+|-+$/g, '').trim())
+    .filter(Boolean);
+  let country = null;
+  const places = [];
+  parts.forEach((part) => {
+    const known = COUNTRIES[part.toLowerCase()];
+    if (known && !country) {
+      country = known;
+    } else if (US_STATE.test(part) && places.length) {
+      country = country || 'United States';
+    } else if (!/\b(province|district|region)\b/i.test(part)) {
+      places.push(part);
+    }
+  });
+  // "Colombo 03" -> "Colombo" (postal district numbers)
+  const city = places.length ? places[0].replace(/\s+\d{1,2}$/, '') : null;
+  if (!country && city && SRI_LANKAN_CITIES.includes(city.toLowerCase())) {
+    country = 'Sri Lanka';
+  }
+  return { city, country };
+}
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Bring an extracted or provider job into the schema. `now` anchors
+// relative posted dates.
+function applyJobSchema(job, { now = Date.now() } = {}) {
+  const tags = Array.isArray(job.tags) ? job.tags.map(toText).filter(Boolean) : [];
+  const postedText = toText(job.postedText) || null;
+  const description = toText(job.description);
+  const title = toText(job.title);
+  const location = toText(job.location);
+  const { city, country } = parseLocation(location);
+  const salary = [...tags, title, description].reduce((found, text) => found || parseSalary(text), null);
+  const workplace = parseWorkplace([location, ...tags, title]);
+
+  return {
+    ...job,
+    title,
+    company: toText(job.company),
+    location,
+    city,
+    country,
+    description,
+    link: toText(job.link),
+    applyLink: toText(job.applyLink),
+    applyLinkType: job.applyLinkType || classifyLink(job.applyLink),
+    originalApplyLink: toText(job.originalApplyLink) || null,
+    postedAt: job.postedAt || parsePostedDate(postedText, now),
+    postedText,
+    salary,
+    employmentType: parseEmploymentType([...tags, title, description]),
+    seniority: parseSeniority(title),
+    workplace,
+    isRemote: workplace === 'remote',
+    tags,
+    source: job.source || null,
+    sources: Array.isArray(job.sources) ? job.sources : []
+  };
+}
+
+const checkType = (value, type) => {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    case 'salary':
+      return Boolean(value) &&
+        typeof value === 'object' &&
+        Number.isFinite(value.min) &&
+        Number.isFinite(value.max) &&
+        value.min <= value.max &&
+        SALARY_CURRENCIES.includes(value.currency) &&
+        (value.period === null || SALARY_PERIODS.includes(value.period));
+    default:
+      return typeof value === type;
+  }
+};
+
+// List of problems with a job against JOB_SCHEMA (empty when valid)
+function validateJob(job) {
+  const errors = [];
+  Object.entries(JOB_SCHEMA).forEach(([field, { type, nullable, values }]) => {
+    const value = job[field];
+    if (value === null || value === undefined) {
+      if (!nullable) {
+        errors.push(`${field} is missing`);
+      }
+      return;
+    }
+    if (!checkType(value, type)) {
+      errors.push(`${field} is not a valid ${type}`);
+    } else if (values && !values.includes(value)) {
+      errors.push(`${field} must be one of: ${values.join(', ')}`);
+    }
+  });
+  if (!errors.length && !job.title) {
+    errors.push('title is empty');
+  }
+  return errors;
+}
+
+// Machine-readable description of the schema (GET /api/schema/job)
+function describeJobSchema() {
+  return {
+    version: JOB_SCHEMA_VERSION,
+    fields: JOB_SCHEMA,
+    salary: { currencies: SALARY_CURRENCIES, periods: SALARY_PERIODS }
+  };
+}
+
+module.exports = {
+  JOB_SCHEMA_VERSION,
+  SENIORITY_LEVELS,
+  parsePostedDate,
+  parseSalary,
+  parseLocation,
+  applyJobSchema,
+  validateJob,
+  describeJobSchema
+};
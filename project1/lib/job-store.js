@@ -0,0 +1,167 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { canonicalizeUrl } = require('./links');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_JOB_STORE_PATH = path.join(DATA_DIR, 'jobs.jsonl');
+
+const normalizePart = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Same title__company__location signature the extractors use for in-page
+// deduplication, normalized so whitespace and case changes do not matter
+function getJobSignature(job) {
+  return [job.title, job.company, job.location].map(normalizePart).join('__');
+}
+
+// Stable identity of a posting across runs: signature plus canonical apply
+// link (lib/links.js), so tracking parameters and redirect wrappers do not
+// make the same posting look new
+function getJobFingerprint(job) {
+  const applyLink = normalizePart(canonicalizeUrl(job.applyLink || job.link));
+  return crypto
+    .createHash('sha1')
+    .update(`${getJobSignature(job)}__${applyLink}`)
+    .digest('hex');
+}
+
+// JSON-lines store of every job seen, one record per fingerprint:
+//   { fingerprint, signature, job, firstSeenAt, lastSeenAt, queries, timesSeen }
+// The whole file is loaded on first use and rewritten (via a temp file and
+// rename) after each upsert, so a crash never leaves a half-written store.
+// Records are looked up by the fingerprint of their job as computed now;
+// `fingerprint` keeps the id a record was created with (feed entry ids),
+// so records written before apply links were canonicalized still match.
+function createJobStore(filePath = DEFAULT_JOB_STORE_PATH) {
+  let records = null;
+
+  const load = () => {
+    if (records) {
+      return records;
+    }
+    records = new Map();
+    if (fs.existsSync(filePath)) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          const record = JSON.parse(line);
+          const key = getJobFingerprint(record.job);
+          const existing = records.get(key);
+          if (!existing) {
+            records.set(key, record);
+          } else {
+            // Two old records for one posting: keep the older id, merge the rest
+            const [kept, merged] = existing.firstSeenAt <= record.firstSeenAt ? [existing, record] : [record, existing];
+            kept.lastSeenAt = kept.lastSeenAt > merged.lastSeenAt ? kept.lastSeenAt : merged.lastSeenAt;
+            kept.timesSeen += merged.timesSeen;
+            kept.queries = [...new Set([...kept.queries, ...merged.queries])];
+            records.set(key, kept);
+          }
+        } catch (error) {
+          console.log(`Skipping unreadable job store line: ${error.message}`);
+        }
+      }
+    }
+    return records;
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    const body = [...records.values()].map((record) => JSON.stringify(record)).join('\n');
+    fs.writeFileSync(tempPath, body ? `${body}\n` : '');
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Insert or refresh jobs found by `query`. Returns one entry per job with
+  // its fingerprint, whether it had never been seen before (`isNew`) and
+  // whether this query had never found it before (`isNewForQuery`).
+  const upsertJobs = (jobs, query, seenAt = new Date().toISOString()) => {
+    const store = load();
+    const results = [];
+    for (const job of jobs) {
+      const key = getJobFingerprint(job);
+      const existing = store.get(key);
+      if (existing) {
+        const isNewForQuery = Boolean(query) && !existing.queries.includes(query);
+        existing.job = { ...existing.job, ...job };
+        existing.lastSeenAt = seenAt;
+        existing.timesSeen += 1;
+        if (isNewForQuery) {
+          existing.queries.push(query);
+        }
+        results.push({
+          fingerprint: existing.fingerprint,
+          isNew: false,
+          isNewForQuery,
+          firstSeenAt: existing.firstSeenAt
+        });
+      } else {
+        store.set(key, {
+          fingerprint: key,
+          signature: getJobSignature(job),
+          job: { ...job },
+          firstSeenAt: seenAt,
+          lastSeenAt: seenAt,
+          queries: query ? [query] : [],
+          timesSeen: 1
+        });
+        results.push({
+          fingerprint: key,
+          isNew: true,
+          isNewForQuery: true,
+          firstSeenAt: seenAt
+        });
+      }
+    }
+    save();
+    return results;
+  };
+
+  // Records, most recently seen first (`sortBy: 'firstSeenAt'` for the
+  // newest postings first). Filters: `query` (found by that query),
+  // `firstSeenSince` (ISO date, new postings only) and `limit`, applied
+  // after sorting.
+  const listJobs = (filters = {}) => {
+    const { query, firstSeenSince, limit, sortBy = 'lastSeenAt' } = filters;
+    let list = [...load().values()];
+    if (query) {
+      list = list.filter((record) => record.queries.includes(query));
+    }
+    if (firstSeenSince) {
+      list = list.filter((record) => record.firstSeenAt >= firstSeenSince);
+    }
+    list.sort((a, b) => b[sortBy].localeCompare(a[sortBy]));
+    return limit ? list.slice(0, limit) : list;
+  };
+
+  const getJob = (fingerprint) => load().get(fingerprint) ||
+    [...load().values()].find((record) => record.fingerprint === fingerprint) ||
+    null;
+
+  return {
+    filePath,
+    upsertJobs,
+    listJobs,
+    getJob
+  };
+}
+
+let defaultJobStore = null;
+function getDefaultJobStore() {
+  if (!defaultJobStore) {
+    defaultJobStore = createJobStore();
+  }
+  return defaultJobStore;
+}
+
+module.exports = {
+  DATA_DIR,
+  getJobSignature,
+  getJobFingerprint,
+  createJobStore,
+  getDefaultJobStore
+};
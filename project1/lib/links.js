@@ -0,0 +1,316 @@
+// Apply-link resolution: every job link goes through here so the same
+// posting found by different sources ends up with the same URL.
+//   canonicalizeUrl - unwrap redirect wrappers (google.com/url?q=...) and
+//                     strip tracking parameters (utm_*, ved, sa, ...)
+//   classifyLink    - employer site, ATS or aggregator
+//   createLinkResolver - follow HTTP redirects of employer links to their
+//                     final URL, within a per-run time budget
+// `findApplyLink` is the one in-page picker of a card's apply anchor; page
+// functions that need it are wrapped with withLinkHelpers.
+
+const { getConfig } = require('./config');
+
+const LINK_TYPES = ['employer', 'ats', 'aggregator'];
+
+const GOOGLE_HOST = /(^|\.)google\.[a-z.]+$/;
+// Redirect wrappers: the target URL is in one of `params`
+const REDIRECTORS = [
+  { host: GOOGLE_HOST, path: /^\/(url|aclk|imgres)$/, params: ['q', 'url', 'adurl', 'imgurl'] },
+  { host: /(^|\.)linkedin\.com$/, path: /^\/redir\/redirect\/?$/, params: ['url'] },
+  { host: /^l\.facebook\.com$/, path: /^\/l\.php$/, params: ['u'] }
+];
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(gclid|dclid|fbclid|msclkid|yclid)$/i,
+  /^(mc_cid|mc_eid|_hsenc|_hsmi|trk|trkInfo|trackingId|refId|gh_src)$/
+];
+// Google's own click tracking; other sites may use these names for real
+// parameters, so they are only stripped from Google URLs
+const GOOGLE_TRACKING_PARAMS = /^(ved|sa|usg|ei|oq|gs_lcp|sclient)$/;
+// Applicant tracking systems: their posting pages are the final apply URL
+const ATS_HOSTS = [
+  'greenhouse.io', 'lever.co', 'myworkdayjobs.com', 'workday.com', 'smartrecruiters.com',
+  'ashbyhq.com', 'bamboohr.com', 'icims.com', 'taleo.net', 'jobvite.com', 'recruitee.com',
+  'workable.com', 'breezy.hr', 'teamtailor.com', 'successfactors.com', 'successfactors.eu',
+  'personio.de', 'personio.com', 'zohorecruit.com', 'hire.trakstar.com', 'applytojob.com'
+];
+// Job boards listing other companies' postings (Google is matched on any
+// of its domains)
+const AGGREGATOR_HOSTS = [
+  'linkedin.com', 'indeed.com', 'glassdoor.com', 'ziprecruiter.com', 'monster.com',
+  'simplyhired.com', 'careerbuilder.com', 'talent.com', 'jooble.org', 'bebee.com',
+  'topjobs.lk', 'xpress.jobs', 'ikman.lk', 'jobstreet.com', 'naukri.com'
+];
+
+// Link resolution defaults (`linkResolution` run option)
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_BUDGET_MS = 30 * 1000;
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+const parseHttpUrl = (value) => {
+  try {
+    const url = new URL(String(value || '').trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const matchesHost = (hostname, hosts) => hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+
+// Target of a redirect wrapper URL, or null when `url` is not one
+function getRedirectTarget(url) {
+  const redirector = REDIRECTORS.find(({ host, path }) => host.test(url.hostname) && path.test(url.pathname));
+  if (!redirector) {
+    return null;
+  }
+  const target = redirector.params.map((param) => url.searchParams.get(param)).find(Boolean);
+  return parseHttpUrl(target);
+}
+
+// Canonical form of a job link: redirect wrappers unwrapped (also nested
+// ones), tracking parameters and text fragments removed. Anything that is
+// not an http(s) URL (mailto:, empty) is returned trimmed but unchanged.
+function canonicalizeUrl(value) {
+  let url = parseHttpUrl(value);
+  if (!url) {
+    return String(value || '').trim();
+  }
+  for (let depth = 0; depth < 3; depth++) {
+    const target = getRedirectTarget(url);
+    if (!target) break;
+    url = target;
+  }
+  const isGoogle = GOOGLE_HOST.test(url.hostname);
+  [...url.searchParams.keys()].forEach((param) => {
+    if (TRACKING_PARAMS.some((pattern) => pattern.test(param)) || (isGoogle && GOOGLE_TRACKING_PARAMS.test(param))) {
+      url.searchParams.delete(param);
+    }
+  });
+  if (url.hash.startsWith('#:~:')) {
+    url.hash = '';
+  }
+  return url.toString().replace(/\?(#|$)/, '$1');
+}
+
+// 'ats', 'aggregator' or 'employer' (any other site); null for no link
+function classifyLink(value) {
+  const url = parseHttpUrl(value);
+  if (!url) {
+    return null;
+  }
+  if (matchesHost(url.hostname, ATS_HOSTS)) {
+    return 'ats';
+  }
+  if (matchesHost(url.hostname, AGGREGATOR_HOSTS) || GOOGLE_HOST.test(url.hostname)) {
+    return 'aggregator';
+  }
+  return 'employer';
+}
+
+// Key that identifies a posting by its real URL, for deduplication across
+// sources: host without www, path and query, case-insensitive. Google
+// pages are shared by many postings (search results), so they have none.
+function getLinkKey(value) {
+  const url = parseHttpUrl(value);
+  if (!url || GOOGLE_HOST.test(url.hostname)) {
+    return null;
+  }
+  const path = url.pathname.replace(/\/+$/, '');
+  return `${url.hostname.replace(/^www\./, '')}${path}${url.search}`.toLowerCase();
+}
+
+const readLimit = (input, name) => {
+  const value = input[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw createValidationError(`linkResolution.${name} must be a non-negative integer`);
+  }
+  return number;
+};
+
+// Normalize the `linkResolution` request field. Links are always unwrapped
+// and stripped; `followRedirects: false` (or `false` for the whole field)
+// skips the HTTP requests.
+function validateLinkOptions(input) {
+  if (input === undefined || input === null || input === true) {
+    return validateLinkOptions({});
+  }
+  if (input === false) {
+    return validateLinkOptions({ followRedirects: false });
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw createValidationError('linkResolution must be a boolean or an object');
+  }
+  if (input.followRedirects !== undefined && typeof input.followRedirects !== 'boolean') {
+    throw createValidationError('linkResolution.followRedirects must be a boolean');
+  }
+  const maxRedirects = readLimit(input, 'maxRedirects');
+  const timeoutMs = readLimit(input, 'timeoutMs');
+  const budgetMs = readLimit(input, 'budgetMs');
+  return {
+    followRedirects: input.followRedirects !== false,
+    maxRedirects: maxRedirects === null ? DEFAULT_MAX_REDIRECTS : maxRedirects,
+    timeoutMs: timeoutMs || DEFAULT_TIMEOUT_MS,
+    budgetMs: budgetMs === null ? DEFAULT_BUDGET_MS : budgetMs
+  };
+}
+
+// One request without following redirects. HEAD first; servers that do
+// not allow it get a GET whose body is discarded.
+async function requestOnce(url, { timeoutMs, signal }) {
+  const request = async (method) => {
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(url, {
+      method,
+      redirect: 'manual',
+      headers: { 'User-Agent': getConfig().values.http.userAgent, Accept: 'text/html' },
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+    if (response.body) {
+      await response.body.cancel().catch(() => {});
+    }
+    return response;
+  };
+  const response = await request('HEAD');
+  return response.status === 405 || response.status === 501 ? request('GET') : response;
+}
+
+// Resolver for one run. resolve(url) returns
+//   { url, type, redirects, status, error }
+// where `url` is the canonical final URL. Only employer links are followed
+// (ATS and job board pages are final already); once `budgetMs` of request
+// time is spent the rest are canonicalized without requests. Results are
+// cached per canonical URL.
+function createLinkResolver(options = {}) {
+  const { followRedirects, maxRedirects, timeoutMs, budgetMs } = validateLinkOptions(options);
+  const cache = new Map();
+  const stats = {
+    followRedirects,
+    resolved: 0,
+    redirected: 0,
+    failed: 0,
+    skipped: 0,
+    budgetExhausted: false,
+    requestTimeMs: 0
+  };
+
+  const follow = async (startUrl, signal) => {
+    let url = startUrl;
+    let status = null;
+    let redirects = 0;
+    while (true) {
+      const remaining = budgetMs - stats.requestTimeMs;
+      if (remaining <= 0) {
+        stats.budgetExhausted = true;
+        return { url, redirects, status, error: 'link resolution budget exhausted' };
+      }
+      const startedAt = Date.now();
+      try {
+        const response = await requestOnce(url, { timeoutMs: Math.min(timeoutMs, remaining), signal });
+        status = response.status;
+        const location = response.headers.get('location');
+        if (status < 300 || status >= 400 || !location || redirects >= maxRedirects) {
+          return { url, redirects, status, error: null };
+        }
+        url = canonicalizeUrl(new URL(location, url).toString());
+        redirects++;
+      } catch (error) {
+        return { url, redirects, status, error: error.message };
+      } finally {
+        stats.requestTimeMs += Date.now() - startedAt;
+      }
+      if (classifyLink(url) !== 'employer') {
+        return { url, redirects, status, error: null };
+      }
+    }
+  };
+
+  const resolve = async (value, { signal } = {}) => {
+    const canonical = canonicalizeUrl(value);
+    if (cache.has(canonical)) {
+      return cache.get(canonical);
+    }
+    let result = { url: canonical, type: classifyLink(canonical), redirects: 0, status: null, error: null };
+    if (result.type === 'employer' && followRedirects) {
+      if (stats.requestTimeMs >= budgetMs) {
+        stats.budgetExhausted = true;
+        stats.skipped++;
+      } else {
+        const followed = await follow(canonical, signal);
+        result = { url: followed.url, type: classifyLink(followed.url), ...followed };
+        if (followed.error) {
+          stats.failed++;
+        }
+        if (followed.redirects) {
+          stats.redirected++;
+        }
+      }
+    }
+    stats.resolved++;
+    cache.set(canonical, result);
+    return result;
+  };
+
+  return {
+    resolve,
+    getStats: () => ({ ...stats })
+  };
+}
+
+// Runs inside the page (self-contained): the apply anchor of a job card or
+// detail pane. The selector set's applyLink fallbacks win; then anchors
+// labelled apply / view job / learn more, preferring ones that leave Google;
+// then the first anchor.
+function findApplyLink(root, applyLinkSelectors = []) {
+  if (!root) return '';
+  for (const selector of applyLinkSelectors) {
+    const special = root.querySelector(selector);
+    if (special?.href) {
+      return special.href;
+    }
+  }
+  const anchors = [...root.querySelectorAll('a[href]')];
+  const labelled = anchors.filter((anchor) => {
+    const text = anchor.innerText?.trim().toLowerCase() || '';
+    const aria = anchor.getAttribute('aria-label')?.toLowerCase() || '';
+    return ['apply', 'view job', 'learn more'].some((label) => text.includes(label) || aria.includes(label));
+  });
+  const leavesGoogle = (anchor) => {
+    try {
+      return !/(^|\.)google\.[a-z.]+$/.test(new URL(anchor.href).hostname);
+    } catch (error) {
+      return false;
+    }
+  };
+  const best = labelled.find(leavesGoogle) || labelled[0] || anchors[0];
+  return best?.href || '';
+}
+
+// Give a page function access to findApplyLink. Page functions are
+// serialized on their own, so the helper's source is prepended to theirs;
+// the result takes the same single argument.
+function withLinkHelpers(pageFunction) {
+  return new Function('arg', `const findApplyLink = ${findApplyLink.toString()};\nreturn (${pageFunction.toString()})(arg);`);
+}
+
+module.exports = {
+  LINK_TYPES,
+  canonicalizeUrl,
+  classifyLink,
+  getLinkKey,
+  validateLinkOptions,
+  createLinkResolver,
+  findApplyLink,
+  withLinkHelpers
+};
@@ -0,0 +1,156 @@
+// Stage runner for the job search automation.
+//
+// A stage is a plain object:
+//   {
+//     name: 'extract',            // unique, used to enable/disable/reorder
+//     inputs: ['page'],           // state keys that must exist before it runs
+//     outputs: ['jobs'],          // state keys it must return
+//     run: async (context) => ({ jobs })
+//   }
+//
+// `run` receives the shared context ({ options, report, state, ... }) and
+// returns an object whose keys are merged into `context.state` for the
+// stages that follow. Stages report progress with
+// `context.reportProgress(type, message, data)`; the runner itself emits
+// stage-start, stage-complete and stage-failed events.
+
+function validateStage(stage) {
+  if (!stage || typeof stage !== 'object') {
+    throw new Error('Pipeline stage must be an object');
+  }
+  if (!stage.name || typeof stage.name !== 'string') {
+    throw new Error('Pipeline stage is missing a name');
+  }
+  if (typeof stage.run !== 'function') {
+    throw new Error(`Pipeline stage "${stage.name}" is missing a run function`);
+  }
+  return {
+    inputs: [],
+    outputs: [],
+    ...stage
+  };
+}
+
+// Build the ordered stage list from the defaults and caller options:
+//   stages      - explicit order, as stage names and/or custom stage objects
+//   skipStages  - names to turn off
+//   extraStages - custom stages placed with `before` or `after` a named stage
+//                 (appended at the end when neither is given)
+function resolveStages(registry, defaultOrder, options = {}) {
+  const {
+    stages: order = defaultOrder,
+    skipStages = [],
+    extraStages = []
+  } = options || {};
+
+  const lookup = (entry) => {
+    if (typeof entry === 'string') {
+      const stage = registry[entry];
+      if (!stage) {
+        throw new Error(`Unknown pipeline stage "${entry}"`);
+      }
+      return stage;
+    }
+    return entry;
+  };
+
+  const resolved = order.map((entry) => validateStage(lookup(entry)));
+
+  for (const extra of extraStages) {
+    const stage = validateStage(extra);
+    const anchor = stage.before || stage.after;
+    const anchorIndex = anchor ? resolved.findIndex((item) => item.name === anchor) : -1;
+    if (anchor && anchorIndex === -1) {
+      throw new Error(`Cannot place stage "${stage.name}": stage "${anchor}" is not in the pipeline`);
+    }
+    if (anchorIndex === -1) {
+      resolved.push(stage);
+    } else {
+      resolved.splice(stage.before ? anchorIndex : anchorIndex + 1, 0, stage);
+    }
+  }
+
+  const seenNames = new Set();
+  for (const stage of resolved) {
+    if (seenNames.has(stage.name)) {
+      throw new Error(`Pipeline stage "${stage.name}" is listed more than once`);
+    }
+    seenNames.add(stage.name);
+  }
+
+  const skipped = new Set(skipStages);
+  return resolved.filter((stage) => !skipped.has(stage.name));
+}
+
+// Error thrown between stages once `context.signal` has been aborted
+function createCancelledError() {
+  const error = new Error('Run cancelled');
+  error.code = 'RUN_CANCELLED';
+  return error;
+}
+
+// Run stages in order, checking each stage's declared inputs and outputs.
+// Timing for every stage is recorded in `context.report.stages`.
+async function runPipeline(stages, context) {
+  for (const stage of stages) {
+    if (context.signal && context.signal.aborted) {
+      throw createCancelledError();
+    }
+    const missing = stage.inputs.filter((key) => context.state[key] === undefined);
+    if (missing.length) {
+      throw new Error(
+        `Stage "${stage.name}" requires ${missing.map((key) => `"${key}"`).join(', ')} but no earlier stage provided it`
+      );
+    }
+
+    const startedAt = Date.now();
+    const entry = {
+      name: stage.name,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: null,
+      status: 'running'
+    };
+    context.report.stages.push(entry);
+    context.currentStage = stage.name;
+    context.reportProgress('stage-start', `Starting stage "${stage.name}"`);
+
+    const fail = (error) => {
+      entry.status = 'failed';
+      entry.durationMs = Date.now() - startedAt;
+      context.reportProgress('stage-failed', `Stage "${stage.name}" failed: ${error.message}`, {
+        durationMs: entry.durationMs
+      });
+      return error;
+    };
+
+    let output;
+    try {
+      output = await stage.run(context);
+    } catch (error) {
+      throw fail(error);
+    }
+
+    const produced = output || {};
+    const absent = stage.outputs.filter((key) => produced[key] === undefined);
+    if (absent.length) {
+      throw fail(new Error(
+        `Stage "${stage.name}" did not return ${absent.map((key) => `"${key}"`).join(', ')}`
+      ));
+    }
+    Object.assign(context.state, produced);
+
+    entry.status = 'completed';
+    entry.durationMs = Date.now() - startedAt;
+    context.reportProgress('stage-complete', `Finished stage "${stage.name}"`, {
+      durationMs: entry.durationMs
+    });
+  }
+  context.currentStage = null;
+  return context;
+}
+
+module.exports = {
+  createCancelledError,
+  resolveStages,
+  runPipeline
+};
@@ -0,0 +1,323 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { DATA_DIR } = require('./job-store');
+
+// Chrome and Chromium profile discovery, plus automation profiles.
+// Profiles are found in the standard user data directories of Windows, macOS
+// and Linux and carry the display name and account from the directory's
+// `Local State` file. Automation profiles live under data/profiles/<name>,
+// each a user data directory of its own, so runs never compete with the
+// user's open Chrome for a profile lock. They start empty or as a copy of an
+// existing profile (cookies and sign-ins included, caches left out).
+// A resolved profile is
+//   { browser, userDataDir, directory, name, email, automation }
+
+const AUTOMATION_PROFILES_DIR = path.join(DATA_DIR, 'profiles');
+const AUTOMATION_METADATA_FILE = 'automation.json';
+const AUTOMATION_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+// Left out when cloning: caches Chrome rebuilds and the lock files of the
+// running browser
+const CLONE_SKIP = new Set([
+  'Cache',
+  'Code Cache',
+  'GPUCache',
+  'DawnCache',
+  'DawnGraphiteCache',
+  'DawnWebGPUCache',
+  'GrShaderCache',
+  'ShaderCache',
+  'CacheStorage',
+  'ScriptCache',
+  'Crashpad',
+  'SingletonLock',
+  'SingletonCookie',
+  'SingletonSocket',
+  'lockfile',
+  'LOCK'
+]);
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// Standard user data directories for this platform, existing or not
+function getUserDataDirCandidates({ platform = process.platform, env = process.env, home = os.homedir() } = {}) {
+  if (platform === 'win32') {
+    const localAppData = env.LOCALAPPDATA || path.join(home, 'AppData', 'Local');
+    return [
+      { browser: 'chrome', path: path.join(localAppData, 'Google', 'Chrome', 'User Data') },
+      { browser: 'chromium', path: path.join(localAppData, 'Chromium', 'User Data') }
+    ];
+  }
+  if (platform === 'darwin') {
+    const appSupport = path.join(home, 'Library', 'Application Support');
+    return [
+      { browser: 'chrome', path: path.join(appSupport, 'Google', 'Chrome') },
+      { browser: 'chromium', path: path.join(appSupport, 'Chromium') }
+    ];
+  }
+  const configHome = env.XDG_CONFIG_HOME || path.join(home, '.config');
+  return [
+    { browser: 'chrome', path: path.join(configHome, 'google-chrome') },
+    { browser: 'chromium', path: path.join(configHome, 'chromium') },
+    { browser: 'chromium', path: path.join(home, 'snap', 'chromium', 'common', 'chromium') }
+  ];
+}
+
+// User data directories that exist on this machine, Chrome first
+function findUserDataDirs(options) {
+  return getUserDataDirCandidates(options).filter((candidate) => fs.existsSync(candidate.path));
+}
+
+// Parsed `Local State` of a user data directory, or null
+function readLocalState(userDataDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(userDataDir, 'Local State'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// A running browser holds SingletonLock (macOS, Linux) or lockfile (Windows)
+function isProfileInUse(userDataDir) {
+  return ['SingletonLock', 'lockfile'].some((name) => {
+    try {
+      fs.lstatSync(path.join(userDataDir, name));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Profiles in one user data directory: the profile directories on disk with
+// their display names from Local State. Default first, then Profile 1, 2...
+function listProfiles(userDataDir, browser = 'chrome') {
+  const localState = readLocalState(userDataDir);
+  const infoCache = localState?.profile?.info_cache || {};
+  const lastUsed = localState?.profile?.last_used || null;
+  let directories = [];
+  try {
+    directories = fs.readdirSync(userDataDir, { withFileTypes: true })
+      .filter((item) => item.isDirectory())
+      .map((item) => item.name)
+      .filter((name) => name === 'Default' ||
+        name.startsWith('Profile ') ||
+        infoCache[name] ||
+        fs.existsSync(path.join(userDataDir, name, 'Preferences')));
+  } catch (error) {
+    console.error('Error reading profiles:', error.message);
+  }
+  directories.sort((a, b) => {
+    if (a === 'Default') return -1;
+    if (b === 'Default') return 1;
+    return a.localeCompare(b, undefined, { numeric: true });
+  });
+  return directories.map((directory) => ({
+    browser,
+    userDataDir,
+    directory,
+    name: infoCache[directory]?.name || directory,
+    email: infoCache[directory]?.user_name || null,
+    lastUsed: directory === lastUsed,
+    automation: false
+  }));
+}
+
+// Automation profiles under `dir`, by name
+function listAutomationProfiles(dir = AUTOMATION_PROFILES_DIR) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).sort();
+  } catch (error) {
+    return [];
+  }
+  return names
+    .map((name) => {
+      const userDataDir = path.join(dir, name);
+      let metadata;
+      try {
+        metadata = JSON.parse(fs.readFileSync(path.join(userDataDir, AUTOMATION_METADATA_FILE), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+      return {
+        browser: 'automation',
+        userDataDir,
+        directory: 'Default',
+        name: metadata.name,
+        email: null,
+        lastUsed: false,
+        automation: true,
+        createdAt: metadata.createdAt,
+        clonedFrom: metadata.clonedFrom || null
+      };
+    })
+    .filter(Boolean);
+}
+
+// Every profile on this machine plus the automation profiles, each with
+// `inUse` set when a running browser holds its user data directory
+function listAllProfiles({ automationDir = AUTOMATION_PROFILES_DIR, ...options } = {}) {
+  const userDataDirs = findUserDataDirs(options);
+  const profiles = [
+    ...userDataDirs.flatMap((candidate) => listProfiles(candidate.path, candidate.browser)),
+    ...listAutomationProfiles(automationDir)
+  ];
+  const locks = new Map();
+  profiles.forEach((profile) => {
+    if (!locks.has(profile.userDataDir)) {
+      locks.set(profile.userDataDir, isProfileInUse(profile.userDataDir));
+    }
+    profile.inUse = locks.get(profile.userDataDir);
+  });
+  return { userDataDirs, profiles };
+}
+
+// Profile a run uses when none was asked for: the last one used in Chrome,
+// else Default, else the first one found
+function pickDefaultProfile(userDataDir, browser) {
+  const profiles = listProfiles(userDataDir, browser);
+  return profiles.find((profile) => profile.lastUsed) ||
+    profiles.find((profile) => profile.directory === 'Default') ||
+    profiles[0] ||
+    null;
+}
+
+const toResolved = ({ browser, userDataDir, directory, name, email, automation }) => ({
+  browser,
+  userDataDir,
+  directory,
+  name,
+  email,
+  automation
+});
+
+// Resolve the `profile` a run asked for. `selection` is a name (automation
+// profile name, profile directory such as "Profile 2", display name or
+// account email, case-insensitive) or { name, browser } to pick between
+// Chrome, Chromium and automation profiles. Returns null for no selection.
+function resolveProfile(selection, options = {}) {
+  if (selection === undefined || selection === null || selection === '') {
+    return null;
+  }
+  const { name, browser } = typeof selection === 'string' ? { name: selection } : selection;
+  if (typeof name !== 'string' || !name.trim()) {
+    throw createValidationError('profile must be a profile name or { name, browser }');
+  }
+  if (browser !== undefined && !['chrome', 'chromium', 'automation'].includes(browser)) {
+    throw createValidationError('profile.browser must be one of: chrome, chromium, automation');
+  }
+  const wanted = name.trim().toLowerCase();
+  const candidates = listAllProfiles(options).profiles.filter((profile) => !browser || profile.browser === browser);
+  const matches = (field) => candidates.filter((profile) => (profile[field] || '').toLowerCase() === wanted);
+  // Automation names and directories are unique per user data directory;
+  // display names may repeat
+  const found = [
+    candidates.filter((profile) => profile.automation && profile.name.toLowerCase() === wanted),
+    matches('directory'),
+    matches('name'),
+    matches('email')
+  ].find((list) => list.length);
+  if (!found) {
+    throw createValidationError(`Chrome profile "${name}" not found`);
+  }
+  if (found.length > 1) {
+    throw createValidationError(
+      `Profile "${name}" is ambiguous (${found.map((profile) => `${profile.browser}: ${profile.directory}`).join(', ')}); pass { name, browser }`
+    );
+  }
+  return toResolved(found[0]);
+}
+
+const copyLocalState = (source, target, directory) => {
+  const localState = readLocalState(source.userDataDir);
+  if (!localState) {
+    return;
+  }
+  // Keep os_crypt (on Windows the cookie key is stored there) and list only
+  // the copied profile, as Default
+  const info = localState.profile?.info_cache?.[directory];
+  localState.profile = {
+    ...localState.profile,
+    info_cache: info ? { Default: info } : {},
+    last_used: 'Default',
+    last_active_profiles: ['Default']
+  };
+  fs.writeFileSync(path.join(target, 'Local State'), JSON.stringify(localState));
+};
+
+// Create the automation profile `name`, empty or as a copy of the profile
+// `cloneFrom` (a resolveProfile selection). The source may be open in
+// Chrome; its lock files are not copied.
+function createAutomationProfile(name, { cloneFrom, automationDir = AUTOMATION_PROFILES_DIR, ...options } = {}) {
+  if (typeof name !== 'string' || !AUTOMATION_NAME_PATTERN.test(name)) {
+    throw createValidationError('Automation profile names use letters, digits, "-" and "_" (at most 40 characters)');
+  }
+  const existing = listAutomationProfiles(automationDir).find((profile) => profile.name.toLowerCase() === name.toLowerCase());
+  if (existing) {
+    const error = new Error(`Automation profile "${name}" already exists`);
+    error.code = 'PROFILE_EXISTS';
+    throw error;
+  }
+  const source = cloneFrom ? resolveProfile(cloneFrom, { ...options, automationDir }) : null;
+  const userDataDir = path.join(automationDir, name);
+  const profileDir = path.join(userDataDir, 'Default');
+  fs.mkdirSync(userDataDir, { recursive: true });
+  try {
+    if (source) {
+      console.log(`Cloning ${source.browser} profile "${source.name}" into automation profile "${name}"`);
+      fs.cpSync(path.join(source.userDataDir, source.directory), profileDir, {
+        recursive: true,
+        filter: (item) => !CLONE_SKIP.has(path.basename(item))
+      });
+      copyLocalState(source, userDataDir, source.directory);
+    } else {
+      fs.mkdirSync(profileDir, { recursive: true });
+    }
+  } catch (error) {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+    throw error;
+  }
+  const metadata = {
+    name,
+    createdAt: new Date().toISOString(),
+    clonedFrom: source ? { browser: source.browser, directory: source.directory, name: source.name } : null
+  };
+  fs.writeFileSync(path.join(userDataDir, AUTOMATION_METADATA_FILE), JSON.stringify(metadata, null, 2));
+  return listAutomationProfiles(automationDir).find((profile) => profile.name === name);
+}
+
+// Delete an automation profile. Returns false when there is none by that
+// name; a profile in use by a running browser is refused.
+function deleteAutomationProfile(name, { automationDir = AUTOMATION_PROFILES_DIR } = {}) {
+  const profile = listAutomationProfiles(automationDir).find((entry) => entry.name === name);
+  if (!profile) {
+    return false;
+  }
+  if (isProfileInUse(profile.userDataDir)) {
+    const error = new Error(`Automation profile "${name}" is in use by a running browser`);
+    error.code = 'PROFILE_IN_USE';
+    throw error;
+  }
+  fs.rmSync(profile.userDataDir, { recursive: true, force: true });
+  return true;
+}
+
+module.exports = {
+  AUTOMATION_PROFILES_DIR,
+  getUserDataDirCandidates,
+  findUserDataDirs,
+  readLocalState,
+  isProfileInUse,
+  listProfiles,
+  listAutomationProfiles,
+  listAllProfiles,
+  pickDefaultProfile,
+  resolveProfile,
+  createAutomationProfile,
+  deleteAutomationProfile
+};
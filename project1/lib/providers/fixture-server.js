@@ -0,0 +1,74 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { FIXTURES_DIR } = require('../fixtures');
+
+// Saved provider responses, served by a local HTTP server that mimics the
+// provider endpoints so the HTTP providers can run without a network
+const PROVIDER_FIXTURES_DIR = path.join(FIXTURES_DIR, 'providers');
+
+// Request path -> fixture file, per provider endpoint. Later result pages
+// of paginated providers are empty so their paging stops.
+const ROUTES = [
+  {
+    pattern: /^\/jobs-guest\/jobs\/api\/seeMoreJobPostings\/search$/,
+    file: (match, url) => (Number(url.searchParams.get('start') || 0) === 0 ? 'linkedin.html' : null)
+  },
+  {
+    pattern: /^\/applicant\/vacancybyfunctionalarea\.jsp$/,
+    file: () => 'topjobs.html'
+  },
+  {
+    pattern: /^\/v1\/boards\/([\w-]+)\/jobs$/,
+    file: (match) => `greenhouse-${match[1]}.json`
+  },
+  {
+    pattern: /^\/v0\/postings\/([\w-]+)$/,
+    file: (match) => `lever-${match[1]}.json`
+  }
+];
+
+// Start the server on a free local port. Resolves to
+// { baseUrl, requests, close } where `requests` lists the URLs asked for.
+function startProviderFixtureServer(fixturesDir = PROVIDER_FIXTURES_DIR) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(req.url);
+    const route = ROUTES.find(({ pattern }) => pattern.test(url.pathname));
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    const file = route.file(url.pathname.match(route.pattern), url);
+    if (!file) {
+      res.writeHead(200, { 'Content-Type': 'text/html' }).end('');
+      return;
+    }
+    const filePath = path.join(fixturesDir, file);
+    if (!fs.existsSync(filePath)) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': file.endsWith('.json') ? 'application/json' : 'text/html; charset=utf-8'
+    });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  PROVIDER_FIXTURES_DIR,
+  startProviderFixtureServer
+};
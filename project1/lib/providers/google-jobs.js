@@ -0,0 +1,21 @@
+// Google Jobs: the jobs tab of a Google search, driven in Chrome by the
+// browser stages of the pipeline. Selecting it keeps those stages in the
+// run; the providers stage only normalizes what the extract stage found.
+module.exports = {
+  name: 'google-jobs',
+  label: 'Google Jobs',
+  usesBrowser: true,
+  keywordSearch: true,
+  // Stages that need the browser and only make sense for Google Jobs
+  stages: [
+    'launch',
+    'search',
+    'navigate-to-jobs',
+    'apply-filters',
+    'expand',
+    'scroll',
+    'extract',
+    'enrich',
+    'detail-walk'
+  ]
+};
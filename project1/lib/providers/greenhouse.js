@@ -0,0 +1,53 @@
+const { fetchJson, htmlToText, decodeHtml } = require('./http');
+
+// Company career pages hosted on Greenhouse, read from the public Job Board
+// API. Boards list every opening, so postings are matched to the query
+// locally.
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// { boards: ['acme', ...] } - board tokens, as in boards.greenhouse.io/<token>
+function validateOptions(input = {}) {
+  const boards = Array.isArray(input.boards) ? input.boards.map((board) => String(board).trim()) : [];
+  if (!boards.length || boards.some((board) => !/^[a-z0-9][a-z0-9_-]*$/i.test(board))) {
+    throw createValidationError('providers: greenhouse needs boards, a list of board tokens');
+  }
+  return { boards };
+}
+
+// `content` is HTML that the API returns entity-encoded
+function parseBoardJobs(data, board) {
+  return (data && Array.isArray(data.jobs) ? data.jobs : []).map((job) => ({
+    title: job.title,
+    company: job.company_name || board,
+    location: job.location ? job.location.name : '',
+    description: htmlToText(decodeHtml(job.content || '')),
+    link: job.absolute_url,
+    applyLink: job.absolute_url,
+    postedAt: job.first_published || job.updated_at || null
+  }));
+}
+
+async function search({ baseUrl, signal, options }) {
+  const jobs = [];
+  for (const board of options.boards) {
+    const url = new URL(`/v1/boards/${encodeURIComponent(board)}/jobs`, baseUrl);
+    url.searchParams.set('content', 'true');
+    jobs.push(...parseBoardJobs(await fetchJson(url.toString(), { signal }), board));
+  }
+  return jobs;
+}
+
+module.exports = {
+  name: 'greenhouse',
+  label: 'Greenhouse boards',
+  defaultBaseUrl: 'https://boards-api.greenhouse.io',
+  keywordSearch: false,
+  validateOptions,
+  search,
+  parseBoardJobs
+};
@@ -0,0 +1,95 @@
+const { getConfig } = require('../config');
+
+// Shared fetch and HTML helpers for the HTTP job providers
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+// GET a URL and return the response body as text. Non-2xx responses throw
+// with `error.status` set. Aborting `signal` cancels the request.
+async function fetchText(url, { signal, timeoutMs = DEFAULT_TIMEOUT_MS, accept = 'text/html' } = {}) {
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': getConfig().values.http.userAgent,
+      Accept: accept,
+      'Accept-Language': 'en-US,en;q=0.9'
+    },
+    signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+  });
+  if (!response.ok) {
+    const error = new Error(`GET ${url} returned ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.text();
+}
+
+async function fetchJson(url, options = {}) {
+  const body = await fetchText(url, { ...options, accept: 'application/json' });
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new Error(`GET ${url} did not return JSON: ${error.message}`);
+  }
+}
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+function decodeHtml(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    const decoded = ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+// Markup to plain text: tags dropped, entities decoded, whitespace collapsed
+function htmlToText(html) {
+  return decodeHtml(
+    String(html || '')
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/[ \t\r\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Text of the first element whose opening tag matches `openTagPattern`
+// (a regex source, e.g. 'h3[^>]*class="[^"]*title'); '' when absent
+function findElementText(html, tag, openTagPattern) {
+  const match = new RegExp(`<${openTagPattern}[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(html);
+  return match ? htmlToText(match[1]).replace(/\n/g, ' ') : '';
+}
+
+// Value of `attribute` on the first tag matching `openTagPattern`
+function findAttribute(html, openTagPattern, attribute) {
+  const tag = new RegExp(`<${openTagPattern}[^>]*>`, 'i').exec(html);
+  if (!tag) {
+    return '';
+  }
+  const value = new RegExp(`\\s${attribute}="([^"]*)"`, 'i').exec(tag[0]);
+  return value ? decodeHtml(value[1]) : '';
+}
+
+module.exports = {
+  fetchText,
+  fetchJson,
+  decodeHtml,
+  htmlToText,
+  findElementText,
+  findAttribute
+};
@@ -0,0 +1,190 @@
+// Job providers: every source of postings implements the same interface and
+// yields jobs in the normalized shape
+//   { title, company, location, description, link, applyLink, postedAt,
+//     postedText, tags, source, sources }
+// `postedAt` is an ISO date or null, `postedText` the site's own wording
+// ("3 days ago") and `tags` short labels shown with the posting (employment
+// type, salary...); the normalize stage turns these into the job schema
+// (lib/job-schema.js). `source` is the provider that found the job first
+// and `sources` every provider that listed it.
+//
+// A provider is a plain object:
+//   {
+//     name: 'linkedin',
+//     label: 'LinkedIn',
+//     defaultBaseUrl: 'https://www.linkedin.com',
+//     keywordSearch: true,                   // false: lists every opening,
+//                                            // matched to the query locally
+//     validateOptions: (input) => options,   // throws VALIDATION_ERROR
+//     search: async ({ query, filters, limit, baseUrl, signal, options }) => jobs
+//   }
+// `limit` lets keyword searches stop paging early; the providers stage keeps
+// at most `limit` jobs from each provider whatever it returns.
+// Google Jobs is the exception: its jobs come from the browser stages of the
+// pipeline (`usesBrowser`), the others are fetched over HTTP by the
+// providers stage. `baseUrl` lets the HTTP providers run against a local
+// fixture server (scripts/check-providers.js).
+
+const googleJobs = require('./google-jobs');
+const topjobs = require('./topjobs');
+const linkedin = require('./linkedin');
+const greenhouse = require('./greenhouse');
+const lever = require('./lever');
+
+const PROVIDERS = {
+  [googleJobs.name]: googleJobs,
+  [topjobs.name]: topjobs,
+  [linkedin.name]: linkedin,
+  [greenhouse.name]: greenhouse,
+  [lever.name]: lever
+};
+const DEFAULT_PROVIDERS = [googleJobs.name];
+
+// Words that say nothing about which postings match a query
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'for', 'in', 'of', 'or', 'the', 'to', 'near', 'me',
+  'job', 'jobs', 'vacancy', 'vacancies', 'hiring', 'career', 'careers', 'position', 'positions'
+]);
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// Normalize the `providers` request field: provider names and/or
+// { name, ...options } objects (or this function's own { name, options }
+// output). Returns [{ name, options }] in request order (Google Jobs alone
+// when absent).
+function validateProviders(input) {
+  if (input === undefined || input === null) {
+    return DEFAULT_PROVIDERS.map((name) => ({ name, options: {} }));
+  }
+  const entries = typeof input === 'string' ? input.split(',') : input;
+  if (!Array.isArray(entries) || !entries.length) {
+    throw createValidationError('providers must be a non-empty array');
+  }
+  const seen = new Set();
+  return entries.map((entry) => {
+    const { name: rawName, options: ownOptions, ...rest } = typeof entry === 'string' ? { name: entry } : (entry || {});
+    const name = String(rawName || '').trim();
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw createValidationError(`providers: unknown provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (seen.has(name)) {
+      throw createValidationError(`providers: "${name}" is listed more than once`);
+    }
+    seen.add(name);
+    return { name, options: provider.validateOptions ? provider.validateOptions(ownOptions || rest) : {} };
+  });
+}
+
+const usesBrowser = (providers) => providers.some(({ name }) => PROVIDERS[name].usesBrowser);
+
+const clean = (value) => String(value || '').replace(/[ \t]+/g, ' ').trim();
+
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Bring a provider's raw job into the shared shape
+function normalizeJob(job, source) {
+  const applyLink = clean(job.applyLink);
+  return {
+    title: clean(job.title),
+    company: clean(job.company),
+    location: clean(job.location),
+    description: clean(job.description),
+    link: clean(job.link) || applyLink,
+    applyLink,
+    postedAt: toIsoDate(job.postedAt),
+    postedText: clean(job.postedText),
+    tags: (job.tags || []).map(clean).filter(Boolean),
+    source,
+    sources: [source]
+  };
+}
+
+const getQueryTerms = (query) => String(query || '')
+  .toLowerCase()
+  .split(/[^a-z0-9+#.]+/)
+  .map((term) => term.replace(/\.+$/, ''))
+  .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+
+// Loose relevance check for providers without keyword search: at least one
+// query term in the title and at least half of them anywhere in the posting
+function matchesQuery(job, query) {
+  const terms = getQueryTerms(query);
+  if (!terms.length) {
+    return true;
+  }
+  const title = job.title.toLowerCase();
+  const text = [job.title, job.company, job.location, job.description].join(' ').toLowerCase();
+  const found = terms.filter((term) => text.includes(term)).length;
+  return terms.some((term) => title.includes(term)) && found >= Math.ceil(terms.length / 2);
+}
+
+const normalizeKeyPart = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// The same posting listed by two providers usually differs in location
+// wording ("Colombo" vs "Colombo, Sri Lanka"), so title and company decide
+const getMergeKey = (job) => [
+  normalizeKeyPart(job.title),
+  normalizeKeyPart(job.company) || normalizeKeyPart(job.location)
+].join('__');
+
+const isEmpty = (value) => !value || (Array.isArray(value) && !value.length);
+
+// Merge job lists in provider order. A posting from another provider with
+// the same title and company is a duplicate: the first copy is kept, its
+// empty fields are filled from the later one and the source is added.
+// Postings from the same provider are never merged with each other.
+// `getKey` replaces the title/company key (the resolve-links stage merges by
+// apply URL); jobs it returns no key for are kept as they are.
+function mergeProviderJobs(jobLists, getKey = getMergeKey) {
+  const buckets = new Map();
+  const jobs = [];
+  let duplicates = 0;
+  jobLists.flat().forEach((job) => {
+    const key = getKey(job);
+    if (!key) {
+      jobs.push({ ...job, sources: [...job.sources] });
+      return;
+    }
+    const bucket = buckets.get(key) || [];
+    buckets.set(key, bucket);
+    const existing = bucket.find((candidate) => !candidate.sources.includes(job.source));
+    if (!existing) {
+      const copy = { ...job, sources: [...job.sources] };
+      bucket.push(copy);
+      jobs.push(copy);
+      return;
+    }
+    duplicates++;
+    Object.keys(job).forEach((field) => {
+      if (field !== 'sources' && isEmpty(existing[field]) && !isEmpty(job[field])) {
+        existing[field] = job[field];
+      }
+    });
+    existing.sources.push(job.source);
+  });
+  return { jobs, duplicates };
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDERS,
+  validateProviders,
+  usesBrowser,
+  normalizeJob,
+  matchesQuery,
+  mergeProviderJobs
+};
@@ -0,0 +1,55 @@
+const { fetchJson } = require('./http');
+
+// Company career pages hosted on Lever, read from the public Postings API.
+// Sites list every opening, so postings are matched to the query locally.
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// { sites: ['acme', ...] } - site names, as in jobs.lever.co/<site>
+function validateOptions(input = {}) {
+  const sites = Array.isArray(input.sites) ? input.sites.map((site) => String(site).trim()) : [];
+  if (!sites.length || sites.some((site) => !/^[a-z0-9][a-z0-9_-]*$/i.test(site))) {
+    throw createValidationError('providers: lever needs sites, a list of site names');
+  }
+  return { sites };
+}
+
+function parsePostings(postings, site) {
+  return (Array.isArray(postings) ? postings : []).map((posting) => {
+    const categories = posting.categories || {};
+    return {
+      title: posting.text,
+      company: site,
+      location: categories.location || (categories.allLocations || []).join(', '),
+      description: posting.descriptionPlain || '',
+      link: posting.hostedUrl,
+      applyLink: posting.applyUrl || posting.hostedUrl,
+      postedAt: posting.createdAt || null,
+      tags: [categories.commitment, categories.team, posting.workplaceType].filter(Boolean)
+    };
+  });
+}
+
+async function search({ baseUrl, signal, options }) {
+  const jobs = [];
+  for (const site of options.sites) {
+    const url = new URL(`/v0/postings/${encodeURIComponent(site)}`, baseUrl);
+    url.searchParams.set('mode', 'json');
+    jobs.push(...parsePostings(await fetchJson(url.toString(), { signal }), site));
+  }
+  return jobs;
+}
+
+module.exports = {
+  name: 'lever',
+  label: 'Lever sites',
+  defaultBaseUrl: 'https://api.lever.co',
+  keywordSearch: false,
+  validateOptions,
+  search,
+  parsePostings
+};
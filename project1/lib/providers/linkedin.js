@@ -0,0 +1,76 @@
+const { fetchText, findElementText, findAttribute } = require('./http');
+
+// LinkedIn public job listings: the guest search endpoint that the logged-out
+// jobs page loads its result cards from. No account is used.
+const PAGE_SIZE = 10;
+// Result pages fetched at most per search
+const MAX_PAGES = 5;
+// filters.datePosted -> f_TPR (seconds since posting)
+const DATE_POSTED_PARAMS = {
+  today: 'r86400',
+  '3days': 'r259200',
+  week: 'r604800',
+  month: 'r2592000'
+};
+// filters.workplace -> f_WT
+const WORKPLACE_PARAMS = {
+  'on-site': '1',
+  remote: '2',
+  hybrid: '3'
+};
+
+function buildSearchUrl(baseUrl, query, filters, start) {
+  const url = new URL('/jobs-guest/jobs/api/seeMoreJobPostings/search', baseUrl);
+  url.searchParams.set('keywords', query);
+  if (filters && filters.location) {
+    url.searchParams.set('location', filters.location);
+  }
+  if (filters && DATE_POSTED_PARAMS[filters.datePosted]) {
+    url.searchParams.set('f_TPR', DATE_POSTED_PARAMS[filters.datePosted]);
+  }
+  if (filters && filters.workplace.length) {
+    url.searchParams.set('f_WT', filters.workplace.map((type) => WORKPLACE_PARAMS[type]).join(','));
+  }
+  url.searchParams.set('start', String(start));
+  return url.toString();
+}
+
+// Job cards of one result page (a list of <li> elements)
+function parseSearchResults(html) {
+  return html.split(/<li[\s>]/i).slice(1).map((card) => {
+    const link = findAttribute(card, 'a[^>]*class="[^"]*base-card__full-link', 'href');
+    return {
+      title: findElementText(card, 'h3', 'h3[^>]*class="[^"]*base-search-card__title'),
+      company: findElementText(card, 'h4', 'h4[^>]*class="[^"]*base-search-card__subtitle'),
+      location: findElementText(card, 'span', 'span[^>]*class="[^"]*job-search-card__location'),
+      description: '',
+      // Drop the tracking parameters; the posting URL alone is stable
+      link: link.split('?')[0],
+      applyLink: link.split('?')[0],
+      postedAt: findAttribute(card, 'time', 'datetime') || null,
+      postedText: findElementText(card, 'time', 'time')
+    };
+  }).filter((job) => job.title);
+}
+
+async function search({ query, filters, limit, baseUrl, signal }) {
+  const jobs = [];
+  for (let page = 0; page < MAX_PAGES && jobs.length < limit; page++) {
+    const html = await fetchText(buildSearchUrl(baseUrl, query, filters, page * PAGE_SIZE), { signal });
+    const pageJobs = parseSearchResults(html);
+    if (!pageJobs.length) {
+      break;
+    }
+    jobs.push(...pageJobs);
+  }
+  return jobs.slice(0, limit);
+}
+
+module.exports = {
+  name: 'linkedin',
+  label: 'LinkedIn',
+  defaultBaseUrl: 'https://www.linkedin.com',
+  keywordSearch: true,
+  search,
+  parseSearchResults
+};
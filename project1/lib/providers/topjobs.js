@@ -0,0 +1,69 @@
+const { fetchText, findElementText, findAttribute } = require('./http');
+
+// topjobs.lk, the main Sri Lankan job board. Its vacancy list is grouped by
+// functional area (`AV` = all vacancies) and has no keyword search, so every
+// row is read and matched to the query by the providers stage.
+const DEFAULT_FUNCTIONAL_AREA = 'AV';
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// { functionalArea } - a topjobs functional area code such as "SDQ"
+// (software development) to read that list instead of all vacancies
+function validateOptions(input = {}) {
+  const functionalArea = input.functionalArea === undefined || input.functionalArea === null
+    ? DEFAULT_FUNCTIONAL_AREA
+    : String(input.functionalArea).trim().toUpperCase();
+  if (!/^[A-Z]{2,4}$/.test(functionalArea)) {
+    throw createValidationError('providers: topjobs functionalArea must be a 2-4 letter code');
+  }
+  return { functionalArea };
+}
+
+function buildListUrl(baseUrl, functionalArea) {
+  const url = new URL('/applicant/vacancybyfunctionalarea.jsp', baseUrl);
+  url.searchParams.set('FA', functionalArea);
+  return url.toString();
+}
+
+// Vacancy rows: each links to the advert servlet and carries the title in an
+// <h2> and the employer in an <h1>
+function parseVacancyList(html, baseUrl) {
+  return html.split(/<tr[\s>]/i).slice(1)
+    .filter((row) => /JobAdvertismentServlet/i.test(row))
+    .map((row) => {
+      const href = findAttribute(row, 'a[^>]*href="[^"]*JobAdvertismentServlet', 'href');
+      const link = href ? new URL(href, baseUrl).toString() : '';
+      const closingDate = findElementText(row, 'span', 'span[^>]*class="[^"]*closing');
+      // Dates are shown as "Fri Oct 17 2026", Sri Lanka time
+      const openingDate = findElementText(row, 'span', 'span[^>]*class="[^"]*opening');
+      return {
+        title: findElementText(row, 'h2', 'h2'),
+        company: findElementText(row, 'h1', 'h1'),
+        location: findElementText(row, 'td', 'td[^>]*class="[^"]*location'),
+        description: closingDate ? `Closing date: ${closingDate}` : '',
+        link,
+        applyLink: link,
+        postedAt: openingDate ? `${openingDate} 00:00 GMT+0530` : null
+      };
+    })
+    .filter((job) => job.title);
+}
+
+async function search({ baseUrl, signal, options }) {
+  const html = await fetchText(buildListUrl(baseUrl, options.functionalArea), { signal });
+  return parseVacancyList(html, baseUrl);
+}
+
+module.exports = {
+  name: 'topjobs',
+  label: 'topjobs.lk',
+  defaultBaseUrl: 'https://www.topjobs.lk',
+  keywordSearch: false,
+  validateOptions,
+  search,
+  parseVacancyList
+};
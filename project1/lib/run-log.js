@@ -0,0 +1,48 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+// Per-run capture of everything written through console.* while a search
+// runs. Runs can overlap, so the active log is tracked with
+// AsyncLocalStorage rather than a module-level variable.
+const storage = new AsyncLocalStorage();
+const CAPTURED_METHODS = ['log', 'info', 'warn', 'error'];
+let consolePatched = false;
+
+function patchConsole() {
+  if (consolePatched) {
+    return;
+  }
+  consolePatched = true;
+  for (const method of CAPTURED_METHODS) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const entries = storage.getStore();
+      if (entries) {
+        entries.push({
+          level: method,
+          message: util.format(...args),
+          timestamp: new Date().toISOString()
+        });
+      }
+      original(...args);
+    };
+  }
+}
+
+// Run `fn` with console output also appended to `entries`
+function runWithLog(entries, fn) {
+  patchConsole();
+  return storage.run(entries, fn);
+}
+
+// Format captured entries as plain text lines
+function formatRunLog(entries = []) {
+  return entries
+    .map((entry) => `[${entry.timestamp}] ${entry.level.toUpperCase()} ${entry.message}`)
+    .join('\n');
+}
+
+module.exports = {
+  runWithLog,
+  formatRunLog
+};
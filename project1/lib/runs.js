@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Statuses: queued -> running -> completed | failed, or cancelling -> cancelled
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+function isRunFinished(run) {
+  return FINISHED_STATUSES.has(run.status);
+}
+
+// Run record without the (potentially large) report
+function toRunSummary(run) {
+  return {
+    id: run.id,
+    status: run.status,
+    queuePosition: run.queuePosition,
+    query: run.query,
+    createdAt: run.createdAt,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    jobsFound: run.result ? run.result.jobsFound : null,
+    error: run.error,
+    errorCode: run.errorCode,
+    errorDetails: run.errorDetails
+  };
+}
+
+// In-memory registry of background search runs.
+// `runSearch(options)` does the actual work (openChromeAndSearch); it receives
+// `runId`, an AbortSignal that fires when the run is cancelled and an
+// `onProgress` callback whose events are kept on the run (`run.events`) and
+// pushed to subscribers. Only the most recent `maxRuns` finished runs are kept.
+// With a `browserPool`, each run waits (status "queued", with `queuePosition`)
+// until the pool hands it a browser, which is passed to `runSearch` as
+// `browser` and returned to the pool when the run ends. Runs started with
+// `usesBrowser: false` (HTTP job providers only) do not wait for one. Runs
+// with their own `profile` launch a browser for it, but still wait for a
+// pool slot and for other runs on the same user data directory
+// (`getProfileDir(options)` names it) to finish.
+function createRunManager({ runSearch, browserPool = null, getProfileDir = () => null, maxRuns = 50 }) {
+  const runs = new Map();
+
+  // Events get an increasing `id` so SSE clients can resume with Last-Event-ID
+  const recordEvent = (run, event) => {
+    const entry = {
+      id: run.events.length + 1,
+      ...event
+    };
+    run.events.push(entry);
+    run.emitter.emit('event', entry);
+  };
+
+  const setStatus = (run, status) => {
+    run.status = status;
+    recordEvent(run, {
+      type: 'status',
+      stage: null,
+      message: `Run ${status}`,
+      data: { status },
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  const prune = () => {
+    const finished = [...runs.values()].filter(isRunFinished);
+    const excess = runs.size - maxRuns;
+    for (let i = 0; i < excess && i < finished.length; i++) {
+      runs.delete(finished[i].id);
+    }
+  };
+
+  const acquireBrowser = (run, userDataDir) => browserPool.acquire({
+    userDataDir,
+    signal: run.controller.signal,
+    onQueuePosition: (position) => {
+      run.queuePosition = position;
+      recordEvent(run, {
+        type: 'queued',
+        stage: null,
+        message: `Waiting for a free browser (position ${position} in queue)`,
+        data: { position },
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  const execute = async (run, options) => {
+    let lease = null;
+    let finalStatus;
+    try {
+      if (browserPool && options.usesBrowser !== false) {
+        const userDataDir = options.profile ? getProfileDir(options) || JSON.stringify(options.profile) : null;
+        lease = await acquireBrowser(run, userDataDir);
+        run.queuePosition = null;
+      }
+      run.startedAt = new Date().toISOString();
+      setStatus(run, 'running');
+      run.result = await runSearch({
+        ...options,
+        ...(lease && lease.browser ? { browser: lease.browser, browserProfile: lease.profile } : {}),
+        runId: run.id,
+        signal: run.controller.signal,
+        onProgress: (event) => recordEvent(run, event)
+      });
+      finalStatus = run.controller.signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      if (run.controller.signal.aborted) {
+        finalStatus = 'cancelled';
+      } else {
+        console.error(`Run ${run.id} failed:`, error);
+        finalStatus = 'failed';
+        run.error = error.message || 'Failed to run job search';
+        // e.g. GOOGLE_BLOCKED with the block screenshot (lib/blocking.js)
+        run.errorCode = error.code || null;
+        run.errorDetails = error.details || null;
+      }
+    } finally {
+      if (lease) {
+        browserPool.release(lease);
+      }
+    }
+    run.queuePosition = null;
+    run.finishedAt = new Date().toISOString();
+    setStatus(run, finalStatus);
+    run.emitter.emit('end', run);
+    prune();
+  };
+
+  // Register a run and start it in the background. Returns the run record.
+  const startRun = (options = {}) => {
+    const run = {
+      id: crypto.randomUUID(),
+      status: null,
+      queuePosition: null,
+      query: options.searchQuery || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      errorCode: null,
+      errorDetails: null,
+      events: [],
+      emitter: new EventEmitter(),
+      controller: new AbortController()
+    };
+    runs.set(run.id, run);
+    setStatus(run, 'queued');
+    run.done = execute(run, options);
+    return run;
+  };
+
+  const getRun = (id) => runs.get(id) || null;
+
+  // Most recent first
+  const listRuns = (limit = 20) => [...runs.values()]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+
+  // Abort a queued or running run. Returns false when it already finished.
+  const cancelRun = (id) => {
+    const run = runs.get(id);
+    if (!run || isRunFinished(run)) {
+      return false;
+    }
+    setStatus(run, 'cancelling');
+    run.controller.abort();
+    return true;
+  };
+
+  // Listen to a run's progress. `onEvent` gets every new event and `onEnd`
+  // fires once the run has finished. Returns an unsubscribe function.
+  const subscribe = (id, { onEvent, onEnd }) => {
+    const run = runs.get(id);
+    if (!run) {
+      return () => {};
+    }
+    run.emitter.on('event', onEvent);
+    run.emitter.once('end', onEnd);
+    return () => {
+      run.emitter.off('event', onEvent);
+      run.emitter.off('end', onEnd);
+    };
+  };
+
+  return {
+    startRun,
+    getRun,
+    listRuns,
+    cancelRun,
+    subscribe
+  };
+}
+
+module.exports = {
+  isRunFinished,
+  toRunSummary,
+  createRunManager
+};
@@ -0,0 +1,328 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./job-store');
+const { parseCron } = require('./cron');
+const { validateFilters } = require('./filters');
+const { validateCollectOptions } = require('./collection');
+const { validateProviders } = require('./providers');
+const { validateLinkOptions } = require('./links');
+const { validateEnrichmentOptions } = require('./enrichment');
+const { validateProxyOptions, validateLocaleOptions, describeNetworkSettings } = require('./network');
+const { selectFingerprintProfile } = require('./fingerprints');
+const { resolveProfile } = require('./profiles');
+
+const DEFAULT_SAVED_SEARCHES_PATH = path.join(DATA_DIR, 'saved-searches.json');
+const SEARCH_MODES = ['summary', 'detail'];
+// Per saved search, only the most recent entries are kept
+const MAX_HISTORY = 50;
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+// null when not set, otherwise a positive integer (else VALIDATION_ERROR)
+function parsePositiveInteger(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createValidationError(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+// Summary or detail mode, plus the detail-walk limits: how many detail panes
+// to open (`maxDetailPanes`) and how long each may take (`detailTimeoutMs`)
+function validateRunMode(input) {
+  const mode = input.mode || 'summary';
+  if (!SEARCH_MODES.includes(mode)) {
+    throw createValidationError(`mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  return {
+    mode,
+    maxDetailPanes: parsePositiveInteger(input.maxDetailPanes, 'maxDetailPanes'),
+    detailTimeoutMs: parsePositiveInteger(input.detailTimeoutMs, 'detailTimeoutMs')
+  };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Alert targets for new postings: { webhookUrl, emailTo: [addresses] }.
+// `emailTo` may also be given as a comma-separated string.
+function validateAlerts(input) {
+  const alerts = input || {};
+
+  let webhookUrl = typeof alerts.webhookUrl === 'string' ? alerts.webhookUrl.trim() : '';
+  if (webhookUrl) {
+    let parsed;
+    try {
+      parsed = new URL(webhookUrl);
+    } catch (error) {
+      throw createValidationError('alerts.webhookUrl must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw createValidationError('alerts.webhookUrl must use http or https');
+    }
+  } else {
+    webhookUrl = null;
+  }
+
+  const rawEmails = Array.isArray(alerts.emailTo)
+    ? alerts.emailTo
+    : String(alerts.emailTo || '').split(',');
+  const emailTo = rawEmails.map((email) => String(email).trim()).filter(Boolean);
+  const invalidEmail = emailTo.find((email) => !EMAIL_PATTERN.test(email));
+  if (invalidEmail) {
+    throw createValidationError(`Invalid alert email address "${invalidEmail}"`);
+  }
+
+  return { webhookUrl, emailTo };
+}
+
+// The proxy as shown to API and CLI readers: describeNetworkSettings' form,
+// without the password (null when none is set)
+function redactProxy(proxy) {
+  try {
+    return describeNetworkSettings({ proxy: validateProxyOptions(proxy), locale: null }).proxy;
+  } catch (error) {
+    return null;
+  }
+}
+
+// A saved search for reading: everything but the proxy credentials
+function toPublicSavedSearch(search) {
+  return search ? { ...search, proxy: redactProxy(search.proxy) } : search;
+}
+
+// Sending back the redacted proxy from a read keeps the stored one
+const isRedactedProxy = (proxy, existing) => Boolean(proxy) &&
+  typeof proxy === 'object' &&
+  proxy.url === undefined &&
+  Boolean(existing.proxy) &&
+  JSON.stringify(proxy) === JSON.stringify(redactProxy(existing.proxy));
+
+// Check user input for a saved search and return the normalized fields.
+// `existing` is merged underneath so updates may send only what changed.
+function validateSavedSearch(input, existing = {}) {
+  const merged = { ...existing, ...(input || {}) };
+  if (isRedactedProxy(merged.proxy, existing)) {
+    merged.proxy = existing.proxy;
+  }
+
+  const query = typeof merged.query === 'string' ? merged.query.trim() : '';
+  if (!query) {
+    throw createValidationError('query is required');
+  }
+
+  const { mode, maxDetailPanes, detailTimeoutMs } = validateRunMode(merged);
+
+  const maxJobs = parsePositiveInteger(merged.maxJobs, 'maxJobs');
+
+  let schedule = typeof merged.schedule === 'string' ? merged.schedule.trim() : null;
+  if (schedule) {
+    try {
+      parseCron(schedule);
+    } catch (error) {
+      throw createValidationError(error.message);
+    }
+  } else {
+    schedule = null;
+  }
+
+  let filters;
+  let collect;
+  let providers;
+  try {
+    filters = validateFilters(merged.filters);
+    collect = validateCollectOptions(merged.collect);
+    providers = validateProviders(merged.providers);
+    // Browser and network settings are kept as given and resolved per run,
+    // like the options of POST /api/jobs/search
+    validateLinkOptions(merged.linkResolution);
+    validateEnrichmentOptions(merged.enrichment);
+    validateProxyOptions(merged.proxy);
+    validateLocaleOptions(merged.locale);
+    resolveProfile(merged.profile);
+    if (merged.fingerprint !== undefined && merged.fingerprint !== null) {
+      selectFingerprintProfile(merged.fingerprint);
+    }
+  } catch (error) {
+    throw createValidationError(error.message);
+  }
+  const optional = (value) => (value === undefined || value === '' ? null : value);
+
+  return {
+    name: typeof merged.name === 'string' && merged.name.trim() ? merged.name.trim() : query,
+    query,
+    mode,
+    maxDetailPanes,
+    detailTimeoutMs,
+    maxJobs,
+    schedule,
+    enabled: merged.enabled !== false,
+    filters,
+    collect,
+    providers,
+    linkResolution: optional(merged.linkResolution),
+    enrichment: optional(merged.enrichment),
+    proxy: optional(merged.proxy),
+    locale: optional(merged.locale),
+    profile: optional(merged.profile),
+    fingerprint: optional(merged.fingerprint),
+    alerts: validateAlerts(merged.alerts)
+  };
+}
+
+// Saved search definitions in one JSON file (proxy passwords included; read
+// them through toPublicSavedSearch before showing them). Each record:
+//   { id, name, query, mode, maxDetailPanes, detailTimeoutMs, maxJobs, schedule,
+//     enabled, filters, collect, providers, linkResolution, enrichment, proxy,
+//     locale, profile, fingerprint, alerts, createdAt,
+//     updatedAt, nextRunAt, lastRunAt, runs: [...], missedRuns: [...],
+//     alertDeliveries: [...] }
+// The history lists keep the latest MAX_HISTORY entries, newest first.
+function createSavedSearchStore(filePath = DEFAULT_SAVED_SEARCHES_PATH) {
+  let searches = null;
+
+  const load = () => {
+    if (!searches) {
+      searches = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : [];
+    }
+    return searches;
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(searches, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const list = () => [...load()];
+
+  const get = (id) => load().find((search) => search.id === id) || null;
+
+  const create = (input) => {
+    const now = new Date().toISOString();
+    const search = {
+      id: crypto.randomUUID(),
+      ...validateSavedSearch(input),
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: null,
+      lastRunAt: null,
+      runs: [],
+      missedRuns: [],
+      alertDeliveries: []
+    };
+    load().push(search);
+    save();
+    return search;
+  };
+
+  const update = (id, input) => {
+    const search = get(id);
+    if (!search) {
+      return null;
+    }
+    Object.assign(search, validateSavedSearch(input, search), {
+      updatedAt: new Date().toISOString()
+    });
+    save();
+    return search;
+  };
+
+  const remove = (id) => {
+    const items = load();
+    const index = items.findIndex((search) => search.id === id);
+    if (index === -1) {
+      return false;
+    }
+    items.splice(index, 1);
+    save();
+    return true;
+  };
+
+  // Apply `changes` to a saved search (scheduler bookkeeping, not user input)
+  const patch = (id, changes) => {
+    const search = get(id);
+    if (!search) {
+      return null;
+    }
+    Object.assign(search, changes);
+    save();
+    return search;
+  };
+
+  // Add or update a run entry ({ runId, trigger, scheduledFor, status, ... })
+  const recordRun = (id, entry) => {
+    const search = get(id);
+    if (!search) {
+      return null;
+    }
+    const existing = search.runs.find((run) => run.runId === entry.runId);
+    if (existing) {
+      Object.assign(existing, entry);
+    } else {
+      search.runs.unshift(entry);
+      search.runs.splice(MAX_HISTORY);
+    }
+    save();
+    return search;
+  };
+
+  // Record a scheduled time that did not produce a run, and why
+  const recordMissed = (id, entry) => {
+    const search = get(id);
+    if (!search) {
+      return null;
+    }
+    search.missedRuns.unshift({
+      ...entry,
+      recordedAt: new Date().toISOString()
+    });
+    search.missedRuns.splice(MAX_HISTORY);
+    save();
+    return search;
+  };
+
+  // Record the outcome of an alert delivery ({ runId, channel, status, ... })
+  const recordAlertDelivery = (id, entry) => {
+    const search = get(id);
+    if (!search) {
+      return null;
+    }
+    search.alertDeliveries = search.alertDeliveries || [];
+    search.alertDeliveries.unshift(entry);
+    search.alertDeliveries.splice(MAX_HISTORY);
+    save();
+    return search;
+  };
+
+  return {
+    filePath,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    patch,
+    recordRun,
+    recordMissed,
+    recordAlertDelivery
+  };
+}
+
+module.exports = {
+  SEARCH_MODES,
+  validateRunMode,
+  validateSavedSearch,
+  toPublicSavedSearch,
+  createSavedSearchStore
+};
@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./job-store');
+const { getNextRun } = require('./cron');
+const { validateProviders, usesBrowser } = require('./providers');
+
+const REPORTS_DIR = path.join(DATA_DIR, 'reports');
+// Missed slots are recorded individually up to this many per check
+const MAX_MISSED_ENTRIES = 10;
+
+// Options for openChromeAndSearch derived from a saved search
+function toRunOptions(search) {
+  const providers = validateProviders(search.providers);
+  return {
+    searchQuery: search.query,
+    summaryOnly: search.mode !== 'detail',
+    maxJobs: search.maxJobs || undefined,
+    maxDetailPanes: search.maxDetailPanes || undefined,
+    detailTimeoutMs: search.detailTimeoutMs || undefined,
+    filters: search.filters || null,
+    collect: search.collect || null,
+    providers,
+    linkResolution: search.linkResolution ?? undefined,
+    enrichment: search.enrichment || undefined,
+    proxy: search.proxy || undefined,
+    locale: search.locale || undefined,
+    profile: search.profile || undefined,
+    fingerprint: search.fingerprint || undefined,
+    usesBrowser: usesBrowser(providers),
+    keepBrowserOpenMs: 0,
+    savedSearchId: search.id
+  };
+}
+
+// Path of the stored report for a finished run
+function getReportPath(runId, reportsDir = REPORTS_DIR) {
+  return path.join(reportsDir, `${path.basename(runId)}.json`);
+}
+
+// In-process scheduler for saved searches.
+// Every `tickMs` it starts the saved searches whose `nextRunAt` has passed.
+// A search never overlaps itself: a slot that comes up while its previous run
+// is still going is recorded in `missedRuns`, as are slots that passed while
+// the server was down (anything older than `graceMs`). Finished reports are
+// written to data/reports/<runId>.json, after which `onRunFinished(search,
+// run)` is called (used to send new-job alerts).
+function createScheduler({
+  savedSearches,
+  runManager,
+  tickMs = 30 * 1000,
+  graceMs = 2 * 60 * 1000,
+  reportsDir = REPORTS_DIR,
+  onRunFinished: afterRunFinished = null
+}) {
+  // savedSearchId -> run record of the run in progress
+  const activeRuns = new Map();
+  let timer = null;
+
+  const saveReport = (run) => {
+    if (!run.result) {
+      return null;
+    }
+    const reportPath = getReportPath(run.id, reportsDir);
+    try {
+      fs.mkdirSync(reportsDir, { recursive: true });
+      fs.writeFileSync(reportPath, `${JSON.stringify(run.result, null, 2)}\n`);
+      return reportPath;
+    } catch (error) {
+      console.log(`Failed to save report for run ${run.id}:`, error.message);
+      return null;
+    }
+  };
+
+  const onRunFinished = (search, run) => {
+    activeRuns.delete(search.id);
+    savedSearches.recordRun(search.id, {
+      runId: run.id,
+      status: run.status,
+      finishedAt: run.finishedAt,
+      jobsFound: run.result ? run.result.jobsFound : null,
+      newJobs: run.result && run.result.store ? run.result.store.newJobs : null,
+      reportPath: saveReport(run),
+      error: run.error
+    });
+    if (afterRunFinished) {
+      Promise.resolve()
+        .then(() => afterRunFinished(savedSearches.get(search.id) || search, run))
+        .catch((error) => console.error(`Post-run handler failed for saved search "${search.name}":`, error));
+    }
+  };
+
+  // Start a run for a saved search. `trigger` is "manual" or "schedule".
+  // Throws a RUN_IN_PROGRESS error while the previous run is still going.
+  const runSavedSearch = (search, { trigger = 'manual', scheduledFor = null } = {}) => {
+    if (activeRuns.has(search.id)) {
+      const error = new Error(`Saved search "${search.name}" is already running`);
+      error.code = 'RUN_IN_PROGRESS';
+      throw error;
+    }
+    const run = runManager.startRun(toRunOptions(search));
+    activeRuns.set(search.id, run);
+    savedSearches.recordRun(search.id, {
+      runId: run.id,
+      trigger,
+      scheduledFor,
+      status: run.status,
+      createdAt: run.createdAt,
+      finishedAt: null,
+      jobsFound: null,
+      newJobs: null,
+      reportPath: null,
+      error: null
+    });
+    savedSearches.patch(search.id, { lastRunAt: run.createdAt });
+    run.done.then(() => onRunFinished(search, run));
+    return run;
+  };
+
+  // Recompute `nextRunAt` after a saved search was created or edited
+  const reschedule = (search, now = new Date()) => {
+    const nextRun = search.enabled && search.schedule ? getNextRun(search.schedule, now) : null;
+    return savedSearches.patch(search.id, {
+      nextRunAt: nextRun ? nextRun.toISOString() : null
+    });
+  };
+
+  const recordMissedSlots = (search, slots, reason) => {
+    slots.slice(0, MAX_MISSED_ENTRIES).forEach((slot) => {
+      savedSearches.recordMissed(search.id, { scheduledFor: slot.toISOString(), reason });
+    });
+    if (slots.length > MAX_MISSED_ENTRIES) {
+      savedSearches.recordMissed(search.id, {
+        scheduledFor: slots[MAX_MISSED_ENTRIES].toISOString(),
+        lastScheduledFor: slots[slots.length - 1].toISOString(),
+        count: slots.length - MAX_MISSED_ENTRIES,
+        reason
+      });
+    }
+  };
+
+  const checkSearch = (search, now) => {
+    if (!search.enabled || !search.schedule) {
+      return;
+    }
+    if (!search.nextRunAt) {
+      reschedule(search, now);
+      return;
+    }
+
+    // Every slot from nextRunAt up to now is due
+    const dueSlots = [];
+    let slot = new Date(search.nextRunAt);
+    while (slot && slot <= now) {
+      dueSlots.push(slot);
+      slot = getNextRun(search.schedule, slot);
+    }
+    if (!dueSlots.length) {
+      return;
+    }
+
+    const latest = dueSlots[dueSlots.length - 1];
+    const stale = dueSlots.filter((dueSlot) => now - dueSlot > graceMs);
+    recordMissedSlots(search, stale, 'scheduler was not running at the scheduled time');
+
+    if (now - latest <= graceMs) {
+      if (activeRuns.has(search.id)) {
+        recordMissedSlots(search, [latest], 'previous run still in progress');
+      } else {
+        console.log(`Starting scheduled run for saved search "${search.name}"`);
+        runSavedSearch(search, { trigger: 'schedule', scheduledFor: latest.toISOString() });
+      }
+    }
+    reschedule(search, now);
+  };
+
+  const tick = (now = new Date()) => {
+    for (const search of savedSearches.list()) {
+      try {
+        checkSearch(search, now);
+      } catch (error) {
+        console.error(`Scheduler failed for saved search "${search.name}":`, error);
+      }
+    }
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+    tick();
+    timer = setInterval(tick, tickMs);
+    if (timer.unref) {
+      timer.unref();
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const isRunning = (searchId) => activeRuns.has(searchId);
+
+  return {
+    start,
+    stop,
+    tick,
+    reschedule,
+    runSavedSearch,
+    isRunning
+  };
+}
+
+module.exports = {
+  REPORTS_DIR,
+  toRunOptions,
+  getReportPath,
+  createScheduler
+};
@@ -0,0 +1,209 @@
+const path = require('path');
+const fs = require('fs');
+const { getConfig } = require('./config');
+
+// Page selectors live in config/selectors.json (or the file named by
+// `selectors.path` setting, SELECTORS_CONFIG) instead of the extractor code:
+//   { version, sets: [{ name, description, fields: { <field>: [selectors] } }],
+//     fallback: { name, description, fields: { <fallback field>: [selectors] } } }
+// Sets are tried in order and the first one whose title selectors match the
+// page is used. Within a field the selectors are ordered fallbacks: the first
+// one that matches wins. `fallback` holds the generic selectors used when no
+// set's titles are on the page, and the "more jobs" button candidates. The file is re-read whenever it changes on disk; an
+// invalid edit is logged and the last valid configuration stays in use.
+const DEFAULT_SELECTORS_PATH = path.join(__dirname, '..', 'config', 'selectors.json');
+const SELECTOR_FIELDS = [
+  'title',
+  'card',
+  'activeCard',
+  'company',
+  'location',
+  'description',
+  'applyLink',
+  'detailPanel'
+];
+// The generic extractor reads every card/heading match (lib/extractors.js
+// extractFallbackJobs); resultContainer is the element around a heading that
+// holds its other lines, moreJobs the elements searched for the button text
+const FALLBACK_FIELDS = [
+  'card',
+  'title',
+  'company',
+  'location',
+  'description',
+  'heading',
+  'resultContainer',
+  'moreJobs'
+];
+
+function createConfigError(message) {
+  const error = new Error(`Invalid selector config: ${message}`);
+  error.code = 'INVALID_SELECTOR_CONFIG';
+  return error;
+}
+
+// Cheap syntax check (document.querySelector is not available in Node):
+// brackets, parentheses and quotes must be balanced
+function isBalancedSelector(selector) {
+  const closing = { '[': ']', '(': ')' };
+  const stack = [];
+  let quote = null;
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (closing[char]) {
+      stack.push(closing[char]);
+    } else if (char === ']' || char === ')') {
+      if (stack.pop() !== char) {
+        return false;
+      }
+    }
+  }
+  return !quote && !stack.length;
+}
+
+// Every field in `fieldNames` must be a non-empty array of selectors, and no
+// other field is allowed
+function validateSet(set, label, fieldNames) {
+  if (!set || typeof set.name !== 'string' || !set.name.trim()) {
+    throw createConfigError(`${label} needs a name`);
+  }
+  if (!set.fields || typeof set.fields !== 'object') {
+    throw createConfigError(`${label} needs fields`);
+  }
+  Object.keys(set.fields).forEach((field) => {
+    if (!fieldNames.includes(field)) {
+      throw createConfigError(`${label} has unknown field "${field}"`);
+    }
+  });
+  fieldNames.forEach((field) => {
+    const selectors = set.fields[field];
+    if (!Array.isArray(selectors) || !selectors.length) {
+      throw createConfigError(`${label} field "${field}" must be a non-empty array of selectors`);
+    }
+    selectors.forEach((selector) => {
+      if (typeof selector !== 'string' || !selector.trim() || !isBalancedSelector(selector)) {
+        throw createConfigError(`${label} field "${field}" has an invalid selector ${JSON.stringify(selector)}`);
+      }
+    });
+  });
+}
+
+// Check a parsed config object; throws INVALID_SELECTOR_CONFIG errors
+function validateSelectorConfig(config) {
+  if (!config || typeof config !== 'object') {
+    throw createConfigError('expected an object');
+  }
+  if (!Number.isInteger(config.version) || config.version < 1) {
+    throw createConfigError('version must be a positive integer');
+  }
+  if (!Array.isArray(config.sets) || !config.sets.length) {
+    throw createConfigError('sets must be a non-empty array');
+  }
+  const names = new Set();
+  config.sets.forEach((set, index) => {
+    const label = set && set.name ? `set "${set.name}"` : `set #${index + 1}`;
+    validateSet(set, label, SELECTOR_FIELDS);
+    if (names.has(set.name)) {
+      throw createConfigError(`duplicate set name "${set.name}"`);
+    }
+    names.add(set.name);
+  });
+  validateSet(config.fallback, 'fallback set', FALLBACK_FIELDS);
+  return config;
+}
+
+function loadSelectorConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw createConfigError(`${filePath}: ${error.message}`);
+  }
+  return validateSelectorConfig(config);
+}
+
+let cached = null;
+
+// Current selector config, reloaded when the file's modification time
+// changes. Returns { path, config, loadedAt, loadError }.
+function getSelectorConfig(filePath = getConfig().values.selectors.path || DEFAULT_SELECTORS_PATH) {
+  const mtimeMs = fs.statSync(filePath).mtimeMs;
+  if (cached && cached.path === filePath && cached.mtimeMs === mtimeMs) {
+    return cached;
+  }
+  try {
+    const config = loadSelectorConfig(filePath);
+    if (cached) {
+      console.log(`Reloaded selector config ${filePath} (version ${config.version})`);
+    }
+    cached = { path: filePath, mtimeMs, config, loadedAt: new Date().toISOString(), loadError: null };
+  } catch (error) {
+    if (!cached || cached.path !== filePath) {
+      throw error;
+    }
+    // Keep serving the last valid config; do not retry until the file changes again
+    console.log(`${error.message}. Keeping selector config version ${cached.config.version}`);
+    cached = { ...cached, mtimeMs, loadError: error.message };
+  }
+  return cached;
+}
+
+// Runs inside the page (self-contained): for every set and field, the first
+// selector that matches and how many elements it matches
+function countSelectorMatches(sets) {
+  return sets.map((set) => {
+    const fields = {};
+    Object.entries(set.fields).forEach(([field, selectors]) => {
+      fields[field] = { selector: null, count: 0 };
+      for (const selector of selectors) {
+        let count = 0;
+        try {
+          count = document.querySelectorAll(selector).length;
+        } catch (e) {
+          // Invalid for this browser; try the next fallback
+        }
+        if (count) {
+          fields[field] = { selector, count };
+          break;
+        }
+      }
+    });
+    return { name: set.name, fields };
+  });
+}
+
+// Pick the selector set for the current page: the first whose title
+// selectors match anything, else the first set. Returns { set, report }
+// where `report` is what goes into report.selectorSet.
+async function matchSelectorSet(page) {
+  const { config } = getSelectorConfig();
+  const counts = await page.evaluate(countSelectorMatches, config.sets);
+  let index = counts.findIndex((entry) => entry.fields.title.count > 0);
+  const matched = index !== -1;
+  if (!matched) {
+    index = 0;
+  }
+  return {
+    set: config.sets[index],
+    report: {
+      name: config.sets[index].name,
+      configVersion: config.version,
+      matched,
+      fields: counts[index].fields
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SELECTORS_PATH,
+  SELECTOR_FIELDS,
+  FALLBACK_FIELDS,
+  validateSelectorConfig,
+  getSelectorConfig,
+  matchSelectorSet
+};
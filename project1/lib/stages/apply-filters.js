@@ -0,0 +1,115 @@
+// Labels of the Google Jobs filter chips and their menu options
+const DATE_POSTED_OPTIONS = {
+  today: ['Past day', 'Last day', 'Past 24 hours', 'Today'],
+  '3days': ['Past 3 days', 'Last 3 days'],
+  week: ['Past week', 'Last week'],
+  month: ['Past month', 'Last month']
+};
+const EMPLOYMENT_TYPE_OPTIONS = {
+  'full-time': ['Full-time', 'Full time'],
+  'part-time': ['Part-time', 'Part time'],
+  contract: ['Contractor', 'Contract'],
+  internship: ['Internship'],
+  temporary: ['Temporary']
+};
+const CHIPS = [
+  {
+    filter: 'datePosted',
+    menuLabels: ['Date posted', 'Posted'],
+    getOptionLabels: (filters) => (filters.datePosted ? DATE_POSTED_OPTIONS[filters.datePosted] : null)
+  },
+  {
+    filter: 'employmentType',
+    menuLabels: ['Job type', 'Type', 'Employment type'],
+    // The chip takes a single value; several types are only checked locally
+    getOptionLabels: (filters) => (
+      filters.employmentType.length === 1 ? EMPLOYMENT_TYPE_OPTIONS[filters.employmentType[0]] : null
+    )
+  }
+];
+
+// Where a chip's options show up once its menu is open
+const MENU_SELECTOR = '[role="menu"], [role="listbox"], [role="dialog"]';
+
+// Click the first visible element whose text is one of `labels`; with
+// `scope` (a selector) only inside visible elements matching it
+const clickByText = (page, labels, scope = null) => page.evaluate((wanted, scopeSelector) => {
+  const lowerWanted = wanted.map((label) => label.toLowerCase());
+  const selector = 'button, [role="button"], [role="option"], [role="menuitemradio"], [role="tab"], a, span';
+  const roots = scopeSelector
+    ? [...document.querySelectorAll(scopeSelector)].filter((root) => root.getClientRects().length > 0)
+    : [document];
+  const candidates = roots.flatMap((root) => [...root.querySelectorAll(selector)]);
+  for (const element of candidates) {
+    const text = (element.innerText || element.textContent || '').trim().toLowerCase();
+    const ariaLabel = (element.getAttribute('aria-label') || '').trim().toLowerCase();
+    if ((lowerWanted.includes(text) || lowerWanted.includes(ariaLabel)) && element.offsetParent !== null) {
+      const clickable = element.closest('button, [role="button"], [role="option"], [role="menuitemradio"], a') || element;
+      clickable.click();
+      return true;
+    }
+  }
+  return false;
+}, labels, scope);
+
+// Open a filter chip's menu and pick the option from that menu. Without a
+// menu nothing is clicked, so a job card or link that happens to read
+// "Full-time" is never taken for the option.
+async function applyChip(page, chip, optionLabels, selectorTimeoutMs) {
+  const menuOpened = await clickByText(page, chip.menuLabels);
+  if (!menuOpened) {
+    return false;
+  }
+  await page.waitForTimeout(1000 + Math.random() * 500);
+  const picked = await clickByText(page, optionLabels, MENU_SELECTOR);
+  if (picked) {
+    await page.waitForTimeout(2000);
+    await page.waitForSelector('#search, [data-ved]', { timeout: selectorTimeoutMs }).catch(() => {});
+  } else {
+    // Close the menu again so it does not cover the job list
+    await page.keyboard.press('Escape').catch(() => {});
+  }
+  return picked;
+}
+
+// Apply the filters that Google Jobs offers as chips (date posted,
+// employment type). Whatever cannot be clicked is left to the filter stage.
+async function run(context) {
+  const { options, report } = context;
+  const { page } = context.state;
+  const appliedFilterChips = [];
+  if (!options.filters) {
+    return { appliedFilterChips };
+  }
+
+  for (const chip of CHIPS) {
+    const optionLabels = chip.getOptionLabels(options.filters);
+    if (!optionLabels) {
+      continue;
+    }
+    try {
+      if (await applyChip(page, chip, optionLabels, options.config.timeouts.selectorMs)) {
+        console.log(`Applied ${chip.filter} filter chip: ${optionLabels[0]}`);
+        appliedFilterChips.push(chip.filter);
+        report.filters.upstream.push({ filter: chip.filter, method: 'chip', value: optionLabels[0] });
+        context.reportProgress('filter-applied', `Applied ${chip.filter} filter: ${optionLabels[0]}`, {
+          filter: chip.filter,
+          value: optionLabels[0]
+        });
+      } else {
+        console.log(`No ${chip.filter} filter chip found; it will only be checked locally`);
+      }
+    } catch (error) {
+      console.log(`Failed to apply ${chip.filter} filter chip:`, error.message);
+    }
+  }
+
+  return { appliedFilterChips };
+}
+
+module.exports = {
+  name: 'apply-filters',
+  inputs: ['page'],
+  outputs: ['appliedFilterChips'],
+  run
+};
@@ -0,0 +1,363 @@
+const { matchSelectorSet } = require('../selectors');
+const { canonicalizeUrl, withLinkHelpers } = require('../links');
+
+// Time allowed for opening and reading one detail pane
+const DEFAULT_DETAIL_TIMEOUT_MS = 20000;
+
+// Reject with `message` when `promise` has not settled within `ms`
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Click the job card at `idx` and read its detail pane. `selectors` is the
+// fields object of the matched selector set (config/selectors.json).
+// Returns { link, detail }, or null when the card could not be clicked.
+async function openJobPane(context, page, selectors, idx, jobCount) {
+  const clicked = await page.evaluate(({ index, fields }) => {
+    let nodes = [];
+    for (const selector of fields.title) {
+      nodes = document.querySelectorAll(selector);
+      if (nodes.length) break;
+    }
+    const target = nodes[index];
+    if (!target) {
+      return false;
+    }
+    const tab = fields.card.map((selector) => target.closest(selector)).find(Boolean);
+    const clickable = tab || target;
+    clickable.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    clickable.click();
+    return true;
+  }, { index: idx, fields: selectors });
+  
+  if (clicked) {
+    console.log(`Opened job tab ${idx + 1} of ${jobCount}`);
+    context.reportProgress('job-opened', `Opened job tab ${idx + 1} of ${jobCount}`, {
+      index: idx + 1,
+      total: jobCount
+    });
+    await page.waitForTimeout(2000);
+    
+    // Capture the primary URL associated with the opened job
+    const jobLink = await page.evaluate(withLinkHelpers((fields) => {
+      const first = (root, list) => {
+        if (!root) return null;
+        for (const selector of list) {
+          const element = root.querySelector(selector);
+          if (element) return element;
+        }
+        return null;
+      };
+      const detailPanel = first(document, fields.detailPanel);
+      
+      // Prefer detail pane anchors, fallback to the job card itself
+      const detailLink = findApplyLink(detailPanel, fields.applyLink);
+      if (detailLink) {
+        return detailLink;
+      }
+      
+      return findApplyLink(first(document, fields.activeCard), fields.applyLink);
+    }), selectors);
+    
+    const fallbackUrl = await page.url();
+    const link = {
+      index: idx + 1,
+      url: canonicalizeUrl(jobLink) || fallbackUrl
+    };
+
+    const detailSnapshot = await page.evaluate((fields) => {
+      const first = (root, list) => {
+        if (!root) return null;
+        for (const selector of list) {
+          const element = root.querySelector(selector);
+          if (element) return element;
+        }
+        return null;
+      };
+      const detailPanel = first(document, fields.detailPanel);
+      const activeCard = first(document, fields.activeCard) || first(document, fields.title);
+      
+      const pickText = (root, selectors) => {
+        if (!root) return '';
+        for (const selector of selectors) {
+          const el = root.querySelector(selector);
+          if (el && el.innerText?.trim()) {
+            return el.innerText.trim();
+          }
+        }
+        return '';
+      };
+      
+      const titleSelectors = [...fields.title, 'h1', 'h2'];
+      const title = pickText(detailPanel, titleSelectors) ||
+        pickText(activeCard, titleSelectors);
+      const company = pickText(detailPanel, fields.company) ||
+        pickText(activeCard, fields.company);
+      const location = pickText(detailPanel, fields.location) ||
+        pickText(activeCard, fields.location);
+      const description = pickText(detailPanel, fields.description) ||
+        pickText(activeCard, fields.description);
+      const content = detailPanel?.innerText?.trim() ||
+        activeCard?.innerText?.trim() ||
+        '';
+      
+      return {
+        title,
+        company,
+        location,
+        description,
+        content
+      };
+    }, selectors);
+
+    // Collect anchor links from the right-side detail pane/job card
+    const anchorDetails = await page.evaluate((fields) => {
+      const first = (root, list) => {
+        if (!root) return null;
+        for (const selector of list) {
+          const element = root.querySelector(selector);
+          if (element) return element;
+        }
+        return null;
+      };
+      const anchorsFound = [];
+      const collectAnchors = (root) => {
+        if (!root) return;
+        let anchors = [];
+        for (const selector of fields.applyLink) {
+          anchors = root.querySelectorAll(selector);
+          if (anchors.length) break;
+        }
+        anchors.forEach((anchor) => {
+          const text = anchor.innerText?.trim() || anchor.getAttribute('aria-label') || '';
+          const href = anchor.href || '';
+          if (text || href) {
+            anchorsFound.push({
+              text,
+              href
+            });
+          }
+        });
+      };
+      
+      collectAnchors(first(document, fields.detailPanel));
+      collectAnchors(first(document, fields.activeCard) || first(document, fields.title));
+      
+      return anchorsFound;
+    }, selectors);
+
+    if (anchorDetails.length) {
+      console.log('  Anchors found in description pane/job card:');
+      anchorDetails.forEach((anchor, subIdx) => {
+        console.log(`    [${idx + 1}.${subIdx + 1}] Text: ${anchor.text || 'N/A'}`);
+        console.log(`            URL : ${anchor.href || 'N/A'}`);
+      });
+    } else {
+      console.log('  No anchors detected for this job in the detail pane.');
+    }
+
+    const detail = {
+      index: idx + 1,
+      url: link.url,
+      applyUrl: link.url,
+      title: detailSnapshot.title || '',
+      company: detailSnapshot.company || '',
+      location: detailSnapshot.location || '',
+      description: detailSnapshot.description || '',
+      content: detailSnapshot.content || '',
+      anchors: anchorDetails
+    };
+    return { link, detail };
+  }
+  console.log(`Unable to click job tab ${idx + 1}`);
+  return null;
+}
+
+// Click through every job card and collect the detail pane contents.
+// `maxDetailPanes` caps how many cards are opened and `detailTimeoutMs`
+// bounds each one; panes that time out are listed in report.detailErrors.
+async function run(context) {
+  const { options, report } = context;
+  const { page } = context.state;
+  const { set: selectorSet } = await matchSelectorSet(page);
+  const selectors = selectorSet.fields;
+
+  // Sequentially click each job tab to load its details
+  console.log('\nClicking through each job entry to load details...');
+  const openedJobLinks = [];
+  const openedJobDetails = [];
+  const detailErrors = [];
+  try {
+    const jobCount = await page.evaluate((fields) => {
+      for (const selector of fields.title) {
+        const count = document.querySelectorAll(selector).length;
+        if (count) return count;
+      }
+      return 0;
+    }, selectors);
+    if (jobCount === 0) {
+      console.log('No job tabs found to click.');
+    } else {
+      const paneCount = options.maxDetailPanes ? Math.min(jobCount, options.maxDetailPanes) : jobCount;
+      if (paneCount < jobCount) {
+        console.log(`Opening the first ${paneCount} of ${jobCount} job tabs (maxDetailPanes)`);
+      }
+      for (let idx = 0; idx < paneCount; idx++) {
+        if (context.signal && context.signal.aborted) {
+          break;
+        }
+        try {
+          const pane = await withTimeout(
+            openJobPane(context, page, selectors, idx, paneCount),
+            options.detailTimeoutMs || DEFAULT_DETAIL_TIMEOUT_MS,
+            `Job tab ${idx + 1} timed out`
+          );
+          if (pane) {
+            openedJobLinks.push(pane.link);
+            openedJobDetails.push(pane.detail);
+          }
+        } catch (paneError) {
+          console.log(`Skipping job tab ${idx + 1}:`, paneError.message);
+          detailErrors.push({ index: idx + 1, error: paneError.message });
+        }
+      }
+    }
+  } catch (tabError) {
+    console.log('Error while clicking job tabs:', tabError.message);
+  }
+  
+  if (openedJobLinks.length) {
+    console.log('\n========================================');
+    console.log('URLS FROM OPENED JOB TABS');
+    console.log('========================================');
+    openedJobLinks.forEach(({ index, url }) => {
+      console.log(`Job Tab #${index}: ${url || 'URL not available'}`);
+    });
+    console.log('========================================\n');
+  }
+
+  if (openedJobDetails.length) {
+    console.log('========================================');
+    console.log('STORED JOB CONTENT');
+    console.log('========================================');
+    openedJobDetails.forEach((jobDetail) => {
+      console.log(`\nJob Tab #${jobDetail.index}`);
+      console.log(`Title      : ${jobDetail.title || 'N/A'}`);
+      console.log(`Company    : ${jobDetail.company || 'N/A'}`);
+      console.log(`Location   : ${jobDetail.location || 'N/A'}`);
+      console.log(`Description: ${jobDetail.description || 'N/A'}`);
+      console.log(`URL        : ${jobDetail.url || 'N/A'}`);
+      console.log(`Apply URL  : ${jobDetail.applyUrl || jobDetail.url || 'N/A'}`);
+      if (jobDetail.content) {
+        console.log('\nContent:');
+        console.log(jobDetail.content);
+      }
+      if (jobDetail.anchors?.length) {
+        console.log('\nAnchors:');
+        jobDetail.anchors.forEach((anchor, anchorIdx) => {
+          console.log(`  [${jobDetail.index}.${anchorIdx + 1}] Text: ${anchor.text || 'N/A'}`);
+          console.log(`               URL : ${anchor.href || 'N/A'}`);
+        });
+      }
+      console.log('----------------------------------------');
+    });
+    console.log('========================================\n');
+  }
+  report.openedJobLinks = openedJobLinks;
+  report.openedJobDetails = openedJobDetails;
+  report.detailErrors = detailErrors;
+  
+  // Print every visible job text block to the terminal
+  console.log('\nCollecting full text for every listed job...\n');
+  try {
+    const allJobTexts = await page.evaluate(withLinkHelpers((fields) => {
+      const items = [];
+      const first = (root, list) => {
+        if (!root) return null;
+        for (const selector of list) {
+          const element = root.querySelector(selector);
+          if (element) return element;
+        }
+        return null;
+      };
+      let titleNodes = [];
+      for (const selector of fields.title) {
+        titleNodes = document.querySelectorAll(selector);
+        if (titleNodes.length) break;
+      }
+      titleNodes.forEach((titleEl, index) => {
+        const container =
+          fields.card.map((selector) => titleEl.closest(selector)).find(Boolean) ||
+          titleEl.parentElement;
+        if (!container) {
+          return;
+        }
+        const locationEl = first(container, fields.location);
+        const companyEl = first(container, fields.company);
+        const descriptionEl =
+          first(container, fields.description) ||
+          container.querySelector('[data-attrid="description"]');
+        const detailPanel = first(document, fields.detailPanel);
+        const detailText = detailPanel ? detailPanel.innerText.trim() : '';
+        const linkFromDetail = findApplyLink(detailPanel, fields.applyLink);
+        const linkFromContainer = findApplyLink(container, fields.applyLink);
+        
+        items.push({
+          index: index + 1,
+          title: titleEl.innerText.trim(),
+          company: companyEl?.innerText?.trim() || '',
+          location: locationEl?.innerText?.trim() || '',
+          description: descriptionEl?.innerText?.trim() || '',
+          detail: detailText,
+          link: linkFromContainer || linkFromDetail,
+          applyLink: linkFromDetail || linkFromContainer || ''
+        });
+      });
+      return items;
+    }), selectors);
+    report.jobTextBlocks = allJobTexts.map((item) => ({
+      ...item,
+      link: canonicalizeUrl(item.link),
+      applyLink: canonicalizeUrl(item.applyLink)
+    }));
+    
+    if (!allJobTexts.length) {
+      console.log('No job text blocks detected. The layout may have changed.');
+    } else {
+      allJobTexts.forEach((job) => {
+        console.log('='.repeat(80));
+        console.log(`JOB TEXT #${job.index}`);
+        console.log('='.repeat(80));
+        console.log(`Title      : ${job.title || 'N/A'}`);
+        console.log(`Company    : ${job.company || 'N/A'}`);
+        console.log(`Location   : ${job.location || 'N/A'}`);
+        console.log(`Description: ${job.description || 'N/A'}`);
+        if (job.detail) {
+          console.log(`Detail Pane: ${job.detail}`);
+        }
+        console.log(`URL        : ${job.link || 'N/A'}`);
+        console.log(`Apply URL : ${job.applyLink || job.link || 'N/A'}`);
+        console.log('');
+      });
+    }
+  } catch (textError) {
+    console.log('Failed to gather job text blocks:', textError.message);
+  }
+
+  return {
+    openedJobLinks,
+    openedJobDetails,
+    jobTextBlocks: report.jobTextBlocks
+  };
+}
+
+module.exports = {
+  name: 'detail-walk',
+  inputs: ['page'],
+  outputs: ['openedJobLinks', 'openedJobDetails', 'jobTextBlocks'],
+  run
+};
@@ -0,0 +1,91 @@
+const { openRunPage } = require('./launch');
+const { runLookups, getDefaultLookupCache, getFirstGoogleResultLink } = require('../enrichment');
+const { startBlockCooldown } = require('../blocking');
+
+// Lazily open the extra tab used by lookup worker `slot` (one per parallel
+// lookup, see lib/enrichment.js)
+async function getSearchPage(context, slot = 0) {
+  const { state } = context;
+  state.searchPages = state.searchPages || [];
+  if (!state.searchPages[slot]) {
+    // Same proxy, locale and geolocation as the main page
+    state.searchPages[slot] = await openRunPage(context);
+  }
+  return state.searchPages[slot];
+}
+
+// Attach the first Google result for "title company" to every job through
+// the enrichment service: cached, rate limited and stopped when Google
+// blocks. report.enrichment holds the lookup and cache counts.
+async function run(context) {
+  const { options, report } = context;
+  const results = context.state.jobs;
+  const startedAt = Date.now();
+  const cache = options.enrichment.cache && options.lookupCache !== false
+    ? (options.lookupCache || getDefaultLookupCache())
+    : null;
+
+  const pending = results
+    .map((job) => ({ job, query: [job.title, job.company].filter(Boolean).join(' ') }))
+    .filter(({ job, query }) => !job.searchResult && query);
+  let done = 0;
+  const stats = await runLookups(pending.map(({ query }) => query), {
+    openTab: (slot) => getSearchPage(context, slot),
+    cache,
+    options: options.enrichment,
+    locale: options.locale,
+    signal: context.signal,
+    lookup: (page, query) => getFirstGoogleResultLink(page, query, {
+      timeoutMs: options.config.timeouts.navigationMs,
+      locale: options.locale
+    }),
+    onResult: ({ index, result, cached, error }) => {
+      const { job } = pending[index];
+      if (result) {
+        job.searchResult = result;
+      }
+      done++;
+      context.reportProgress('job-enriched', `Looked up job ${done} of ${pending.length}`, {
+        index: done,
+        total: pending.length,
+        title: job.title,
+        company: job.company,
+        searchResult: job.searchResult || null,
+        cached,
+        error
+      });
+    }
+  });
+  report.enrichment = {
+    ...stats,
+    cachePath: cache ? cache.filePath : null,
+    durationMs: Date.now() - startedAt
+  };
+  // The jobs are kept; only the lookups stop, but later runs wait out the
+  // cooldown
+  if (stats.blockKind) {
+    const cooldown = startBlockCooldown(context, { kind: stats.blockKind, step: 'enrich' });
+    report.enrichment.cooldownUntil = cooldown ? cooldown.until : null;
+  }
+  console.log(`Job lookups: ${stats.lookups} searched, ${stats.cacheHits} from cache${stats.stoppedReason ? `, stopped (${stats.stoppedReason})` : ''}`);
+
+  // Print the last few jobs to terminal with summary information only
+  const jobsToShow = results.slice(-5);
+  for (const result of jobsToShow) {
+    console.log(`Title: ${result.title || 'N/A'}`);
+    console.log(`Company: ${result.company || 'N/A'}`);
+    console.log(`Location: ${result.location || 'N/A'}`);
+    console.log(`Search Result: ${result.searchResult || 'N/A'}`);
+    console.log('---------');
+  }
+
+  return { jobs: results };
+}
+
+module.exports = {
+  name: 'enrich',
+  inputs: ['browser', 'jobs'],
+  outputs: ['jobs'],
+  run,
+  getSearchPage
+};
@@ -0,0 +1,66 @@
+const { getSelectorConfig } = require('../selectors');
+
+// Click "100+ more jobs" so the full job list is loaded
+async function run(context) {
+  const { page } = context.state;
+  let moreJobsClicked = false;
+
+  // Click on "100+ more jobs" button if it exists
+  console.log('Looking for "100+ more jobs" button...');
+  try {
+    await page.waitForTimeout(2000); // Wait a bit for the page to fully load
+    
+    // Use JavaScript to find the "more jobs" button by text content among the
+    // fallback set's moreJobs candidates (config/selectors.json)
+    moreJobsClicked = await page.evaluate((selectors) => {
+      const searchTexts = ['100+ more jobs', 'more jobs', 'See more jobs', 'View more jobs'];
+      
+      for (const selector of selectors) {
+        const elements = document.querySelectorAll(selector);
+        for (const element of elements) {
+          const text = element.innerText?.trim() || element.textContent?.trim() || '';
+          const ariaLabel = element.getAttribute('aria-label') || '';
+          
+          // Check if text matches any of the search texts
+          for (const searchText of searchTexts) {
+            if (text.toLowerCase().includes(searchText.toLowerCase()) ||
+                ariaLabel.toLowerCase().includes(searchText.toLowerCase())) {
+              element.click();
+              return true;
+            }
+          }
+        }
+      }
+      return false;
+    }, getSelectorConfig().config.fallback.fields.moreJobs);
+    
+    if (moreJobsClicked) {
+      console.log('Clicked "more jobs" button successfully');
+      // Wait for the new page/results to load
+      await page.waitForTimeout(3000);
+      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 }).catch(() => {
+        console.log('Navigation completed or timed out');
+      });
+    } else {
+      console.log('"100+ more jobs" button not found, continuing with current results...');
+    }
+  } catch (error) {
+    console.log('Error clicking "more jobs" button:', error.message);
+    console.log('Continuing with current results...');
+  }
+
+  context.reportProgress(
+    'more-jobs',
+    moreJobsClicked ? 'Loaded more jobs' : '"More jobs" button not found',
+    { clicked: moreJobsClicked }
+  );
+
+  return { moreJobsClicked };
+}
+
+module.exports = {
+  name: 'expand',
+  inputs: ['page'],
+  outputs: ['moreJobsClicked'],
+  run
+};
@@ -0,0 +1,112 @@
+const {
+  collectHighlightedTexts,
+  extractClassBasedJobs,
+  extractFallbackJobs
+} = require('../extractors');
+const { captureDiagnostics } = require('../diagnostics');
+const { getExtractionLocationHints, hasFilters } = require('../filters');
+const { getJobSignature } = require('../job-store');
+const { getSelectorConfig, matchSelectorSet } = require('../selectors');
+const { computeFillRates } = require('../telemetry');
+
+// Jobs collected while deep scrolling first, then any card only on the
+// final page, without duplicates
+function mergeJobs(scrolledJobs, pageJobs) {
+  const seen = new Set();
+  return [...scrolledJobs, ...pageJobs].filter((job) => {
+    const signature = getJobSignature(job);
+    if (seen.has(signature)) {
+      return false;
+    }
+    seen.add(signature);
+    return true;
+  });
+}
+
+// Read the job cards from the current page
+async function run(context) {
+  const { options, report } = context;
+  const { page } = context.state;
+
+  // Pick the selector set that matches this page (config/selectors.json)
+  const { set: selectorSet, report: selectorReport } = await matchSelectorSet(page);
+  report.selectorSet = selectorReport;
+  console.log(
+    `Using selector set "${selectorSet.name}" (config version ${selectorReport.configVersion})` +
+    (selectorReport.matched ? '' : ' - no set matched this page')
+  );
+
+  // Extract and print all job title texts
+  console.log('\n========================================');
+  console.log('JOB TITLE TEXTS');
+  console.log('========================================');
+  const titleTexts = await page.evaluate(collectHighlightedTexts, selectorSet.fields);
+  report.highlightedTexts = titleTexts;
+
+  if (titleTexts.length > 0) {
+    console.log(`Found ${titleTexts.length} job title elements:\n`);
+    titleTexts.forEach((text, index) => {
+      console.log(`${index + 1}. ${text}`);
+    });
+  } else {
+    console.log('No job title elements found');
+  }
+  console.log('========================================\n');
+
+  // Extract job info using the selector set first
+  console.log('Extracting job list using the selector set...');
+  const classBasedResults = mergeJobs(
+    context.state.scrolledJobs || [],
+    await page.evaluate(extractClassBasedJobs, selectorSet.fields)
+  );
+
+  let results = classBasedResults;
+  let extractor = 'classBased';
+
+  if (!results.length) {
+    console.log('No jobs found via the selector set, using fallback extraction...');
+    results = await page.evaluate(extractFallbackJobs, {
+      locationHints: getExtractionLocationHints(options.filters, options.searchQuery),
+      fields: selectorSet.fields,
+      selectors: getSelectorConfig().config.fallback.fields
+    });
+    extractor = 'fallback';
+  }
+  // Selector health is judged on what the extractor read, before later
+  // stages drop, merge or fill in jobs (see lib/telemetry.js)
+  report.extractionFillRates = computeFillRates(results);
+  // With filters set, the filter stage applies maxJobs after dropping misses
+  if (options.maxJobs && !hasFilters(options.filters) && results.length > options.maxJobs) {
+    console.log(`Keeping the first ${options.maxJobs} of ${results.length} jobs (maxJobs)`);
+    results = results.slice(0, options.maxJobs);
+  }
+  report.jobs = results;
+  report.jobsFound = results.length;
+  report.extractor = extractor;
+  context.reportProgress('jobs-extracted', `Extracted ${results.length} jobs`, {
+    count: results.length,
+    extractor,
+    selectorSet: selectorSet.name
+  });
+
+  if (results.length === 0) {
+    console.log('No jobs found. The page structure might be different.');
+    console.log('Current page URL:', page.url());
+    if (options.captureDiagnostics !== false) {
+      try {
+        report.diagnosticsDir = await captureDiagnostics(context, 'no-jobs');
+      } catch (diagnosticsError) {
+        console.log('Failed to save diagnostic bundle:', diagnosticsError.message);
+      }
+    }
+  }
+
+  return { jobs: results };
+}
+
+module.exports = {
+  name: 'extract',
+  inputs: ['page'],
+  outputs: ['jobs'],
+  run
+};
@@ -0,0 +1,38 @@
+const { applyLocalFilters, hasFilters } = require('../filters');
+
+// Re-check the requested filters against the extracted jobs and drop the
+// ones that clearly do not match (see lib/filters.js)
+async function run(context) {
+  const { options, report } = context;
+  let { jobs } = context.state;
+  if (!hasFilters(options.filters)) {
+    return { jobs };
+  }
+
+  const result = applyLocalFilters(jobs, options.filters);
+  jobs = result.jobs;
+  if (options.maxJobs && jobs.length > options.maxJobs) {
+    console.log(`Keeping the first ${options.maxJobs} of ${jobs.length} jobs (maxJobs)`);
+    jobs = jobs.slice(0, options.maxJobs);
+  }
+  report.filters.local = result.local;
+  report.jobs = jobs;
+  report.jobsFound = jobs.length;
+
+  result.local.forEach(({ filter, removed, unverified }) => {
+    console.log(`Filter ${filter}: ${removed} removed, ${unverified} could not be checked`);
+  });
+  context.reportProgress('jobs-filtered', `${jobs.length} jobs left after filtering`, {
+    count: jobs.length,
+    local: result.local
+  });
+
+  return { jobs };
+}
+
+module.exports = {
+  name: 'filter',
+  inputs: ['jobs'],
+  outputs: ['jobs'],
+  run
+};
@@ -0,0 +1,67 @@
+const launch = require('./launch');
+const search = require('./search');
+const navigateToJobs = require('./navigate-to-jobs');
+const applyFilters = require('./apply-filters');
+const expand = require('./expand');
+const scroll = require('./scroll');
+const extract = require('./extract');
+const filter = require('./filter');
+const enrich = require('./enrich');
+const detailWalk = require('./detail-walk');
+const loadFixture = require('./load-fixture');
+const persist = require('./persist');
+const providers = require('./providers');
+const normalize = require('./normalize');
+const resolveLinks = require('./resolve-links');
+
+const STAGES = {
+  [launch.name]: launch,
+  [search.name]: search,
+  [navigateToJobs.name]: navigateToJobs,
+  [applyFilters.name]: applyFilters,
+  [expand.name]: expand,
+  [scroll.name]: scroll,
+  [extract.name]: extract,
+  [filter.name]: filter,
+  [enrich.name]: enrich,
+  [detailWalk.name]: detailWalk,
+  [loadFixture.name]: loadFixture,
+  [persist.name]: persist,
+  [providers.name]: providers,
+  [normalize.name]: normalize,
+  [resolveLinks.name]: resolveLinks
+};
+
+const DEFAULT_STAGE_ORDER = [
+  'launch',
+  'search',
+  'navigate-to-jobs',
+  'apply-filters',
+  'expand',
+  'scroll',
+  'extract',
+  'providers',
+  'normalize',
+  'filter',
+  'resolve-links',
+  'enrich',
+  'persist',
+  'detail-walk'
+];
+
+// Offline mode: run the extractors against a saved HTML snapshot. Jobs go
+// through the same link and schema stages as live runs.
+const FIXTURE_STAGE_ORDER = [
+  'launch',
+  'load-fixture',
+  'extract',
+  'normalize',
+  'filter',
+  'resolve-links'
+];
+
+module.exports = {
+  STAGES,
+  DEFAULT_STAGE_ORDER,
+  FIXTURE_STAGE_ORDER
+};
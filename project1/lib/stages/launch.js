@@ -0,0 +1,75 @@
+const { launchChrome, configurePage } = require('../browser');
+const { createBrowserContext, applyPageSettings } = require('../network');
+const { resolveFingerprint, describeFingerprint, runFingerprintCheck } = require('../fingerprints');
+
+// New tab for this run: in the proxy context when the run has a proxy, with
+// the run's fingerprint and locale settings
+async function openRunPage(context) {
+  const { options, state } = context;
+  const page = await (state.browserContext || state.browser).newPage();
+  await configurePage(page, state.fingerprint);
+  await applyPageSettings(page, options);
+  return page;
+}
+
+// Open the main page in a browser: either one handed over by the caller
+// (`options.browser`, e.g. from the browser pool) or a freshly launched Chrome
+// with `options.profile` (see lib/profiles.js). report.metadata.profile is
+// the profile in use, null for a temporary one. The fingerprint profile picked
+// for the run is completed with the browser's version and recorded in
+// report.metadata.fingerprint; with `fingerprintCheck` the self-check page
+// runs first and its result goes into report.fingerprintCheck.
+async function run(context) {
+  const { options, report, state } = context;
+  const { chromePath, userDataDir, useHeadless, profile } = options;
+
+  let browser;
+  if (options.browser) {
+    browser = options.browser;
+    report.metadata.profile = options.browserProfile || null;
+    state.ownsBrowser = false;
+    console.log('Using browser provided by the caller');
+  } else {
+    const launched = await launchChrome({ chromePath, userDataDir, useHeadless, profile });
+    browser = launched.browser;
+    report.metadata.profile = launched.profile;
+    state.ownsBrowser = true;
+  }
+  // Make the browser closable even if opening the first page fails
+  state.browser = browser;
+
+  state.browserContext = await createBrowserContext(browser, options.proxy);
+  if (options.proxy) {
+    console.log(`Using proxy ${options.proxy.server}`);
+  }
+  state.fingerprint = await resolveFingerprint(browser, options.fingerprintProfile, {
+    chromePath,
+    acceptLanguage: options.locale ? options.locale.acceptLanguage : null
+  });
+  report.metadata.fingerprint = describeFingerprint(state.fingerprint);
+  console.log(`Using fingerprint "${state.fingerprint.name}" (Chrome ${state.fingerprint.chromeVersion})`);
+  const page = await openRunPage(context);
+  if (options.fingerprintCheck) {
+    report.fingerprintCheck = await runFingerprintCheck(page, state.fingerprint, {
+      timeoutMs: options.config.timeouts.navigationMs
+    });
+    report.fingerprintCheck.issues.forEach((issue) => {
+      console.log(`Fingerprint check: ${issue.message}`);
+    });
+  }
+  context.reportProgress('browser-launched', 'Chrome launched', {
+    headless: useHeadless,
+    profile: report.metadata.profile ? report.metadata.profile.name : null,
+    fingerprint: state.fingerprint.name
+  });
+
+  return { browser, page };
+}
+
+module.exports = {
+  name: 'launch',
+  inputs: [],
+  outputs: ['browser', 'page'],
+  run,
+  openRunPage
+};
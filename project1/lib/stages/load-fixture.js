@@ -0,0 +1,51 @@
+const fs = require('fs');
+
+// Load a saved HTML snapshot into the page instead of searching Google.
+// Page scripts are disabled and every network request is blocked so the
+// extractors see exactly the markup that was captured. A
+// <meta name="captured-at" content="ISO date"> tag in the snapshot anchors
+// relative dates ("3 days ago") to the capture time, so replays give the
+// same jobs every day.
+async function run(context) {
+  const { options, report } = context;
+  const { page } = context.state;
+  const { fixturePath } = options;
+
+  if (!fixturePath) {
+    throw new Error('Stage "load-fixture" requires the fixturePath option');
+  }
+
+  console.log(`Loading HTML fixture: ${fixturePath}`);
+  const html = fs.readFileSync(fixturePath, 'utf8');
+
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    const url = request.url();
+    if (url.startsWith('data:') || url.startsWith('about:')) {
+      request.continue();
+    } else {
+      request.abort();
+    }
+  });
+
+  await page.setContent(html, {
+    waitUntil: 'domcontentloaded',
+    timeout: options.config.timeouts.navigationMs
+  });
+  report.fixture = fixturePath;
+  const capturedAt = await page.evaluate(() => {
+    const meta = document.querySelector('meta[name="captured-at"]');
+    return meta ? meta.getAttribute('content') : null;
+  });
+  context.reportProgress('fixture-loaded', `Loaded fixture ${fixturePath}`);
+
+  return { fixtureLoaded: true, capturedAt: Date.parse(capturedAt) ? capturedAt : null };
+}
+
+module.exports = {
+  name: 'load-fixture',
+  inputs: ['page'],
+  outputs: ['fixtureLoaded', 'capturedAt'],
+  run
+};
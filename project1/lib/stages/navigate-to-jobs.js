@@ -0,0 +1,130 @@
+const { checkForBlock } = require('../blocking');
+
+// Switch the results page to the Google Jobs tab
+async function run(context) {
+  const { options } = context;
+  const { page, availableTabs } = context.state;
+
+  // Navigate to Jobs tab using the link from the tabs list
+  console.log('Navigating to Jobs tab...');
+  context.reportProgress('navigating', 'Navigating to Jobs tab...');
+  let jobsTabNavigated = false;
+  
+  // Find the Jobs tab from the available tabs
+  const jobsTab = availableTabs.find(tab => 
+    tab.name.toLowerCase() === 'jobs' || 
+    tab.name.toLowerCase().includes('job')
+  );
+  
+  if (jobsTab && jobsTab.href) {
+    try {
+      console.log(`Navigating to Jobs page: ${jobsTab.href}`);
+      await page.goto(jobsTab.href, { 
+        waitUntil: 'networkidle2',
+        timeout: options.config.timeouts.navigationMs
+      });
+      console.log('Successfully navigated to Jobs page');
+      jobsTabNavigated = true;
+      await page.waitForTimeout(2000); // Wait for page to fully load
+    } catch (error) {
+      console.log('Error navigating to Jobs link:', error.message);
+      console.log('Trying to click Jobs tab instead...');
+      
+      // Fallback: Try clicking the tab
+      try {
+        const clicked = await page.evaluate((jobsHref) => {
+          const selectors = [
+            `a[href="${jobsHref}"]`,
+            'a[href*="tbm=jobs"]',
+            'a[href*="udm=8"]',
+            '.hdtb-mitem a',
+            'div[role="tab"] a'
+          ];
+          
+          for (const selector of selectors) {
+            const elements = document.querySelectorAll(selector);
+            for (const element of elements) {
+              const href = element.href || element.getAttribute('href') || '';
+              const text = element.innerText?.trim() || element.textContent?.trim() || '';
+              if ((href.includes('tbm=jobs') || href.includes('udm=8') || 
+                   text.toLowerCase() === 'jobs') && text.length < 20) {
+                element.click();
+                return true;
+              }
+            }
+          }
+          return false;
+        }, jobsTab.href);
+        
+        if (clicked) {
+          console.log('Jobs tab clicked successfully');
+          await page.waitForTimeout(3000);
+          await page.waitForSelector('#search, [data-ved]', { timeout: options.config.timeouts.selectorMs }).catch(() => {});
+          jobsTabNavigated = true;
+        }
+      } catch (clickError) {
+        console.log('Error clicking Jobs tab:', clickError.message);
+      }
+    }
+  } else {
+    console.log('Jobs tab link not found in available tabs, trying to find and click...');
+    try {
+      const clicked = await page.evaluate(() => {
+        const selectors = [
+          'a[href*="tbm=jobs"]',
+          'a[href*="udm=8"]',
+          '.hdtb-mitem a',
+          'div[role="tab"] a'
+        ];
+        
+        for (const selector of selectors) {
+          const elements = document.querySelectorAll(selector);
+          for (const element of elements) {
+            const text = element.innerText?.trim() || element.textContent?.trim() || '';
+            const href = element.href || element.getAttribute('href') || '';
+            if ((text.toLowerCase() === 'jobs' || 
+                 href.includes('tbm=jobs') || 
+                 href.includes('udm=8')) && 
+                text.length < 20) {
+              element.click();
+              return true;
+            }
+          }
+        }
+        return false;
+      });
+      
+      if (clicked) {
+        console.log('Jobs tab clicked successfully');
+        await page.waitForTimeout(3000);
+        await page.waitForSelector('#search, [data-ved]', { timeout: options.config.timeouts.selectorMs }).catch(() => {});
+        jobsTabNavigated = true;
+      } else {
+        console.log('Could not find or click Jobs tab');
+      }
+    } catch (error) {
+      console.log('Error finding Jobs tab:', error.message);
+    }
+  }
+  
+  await checkForBlock(context, page, 'jobs-tab');
+  
+  if (!jobsTabNavigated) {
+    console.log('Continuing with regular search results...');
+  }
+
+  context.reportProgress(
+    'jobs-tab',
+    jobsTabNavigated ? 'Jobs tab opened' : 'Jobs tab not found, using regular search results',
+    { navigated: jobsTabNavigated }
+  );
+
+  return { jobsTabNavigated };
+}
+
+module.exports = {
+  name: 'navigate-to-jobs',
+  inputs: ['page', 'availableTabs'],
+  outputs: ['jobsTabNavigated'],
+  run
+};
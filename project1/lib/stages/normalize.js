@@ -0,0 +1,52 @@
+const { JOB_SCHEMA_VERSION, applyJobSchema, validateJob } = require('../job-schema');
+
+// Jobs kept in report.jobSchema.invalidJobs as examples
+const MAX_INVALID_EXAMPLES = 10;
+
+// Turn every job into the versioned job schema (lib/job-schema.js): parsed
+// posted date, salary, employment type, seniority, workplace and city /
+// country. Jobs that still fail validation are dropped and reported.
+// Relative posted dates count from the run's start, or from the capture
+// time of a replayed fixture.
+async function run(context) {
+  const { report } = context;
+  const now = Date.parse(context.state.capturedAt || report.timestamps.startedAt) || Date.now();
+
+  const invalidJobs = [];
+  const jobs = context.state.jobs
+    .map((job) => applyJobSchema(job, { now }))
+    .filter((job) => {
+      const errors = validateJob(job);
+      if (errors.length) {
+        invalidJobs.push({ title: job.title, company: job.company, errors });
+        return false;
+      }
+      return true;
+    });
+
+  report.jobSchemaVersion = JOB_SCHEMA_VERSION;
+  report.jobSchema = {
+    version: JOB_SCHEMA_VERSION,
+    invalid: invalidJobs.length,
+    invalidJobs: invalidJobs.slice(0, MAX_INVALID_EXAMPLES)
+  };
+  if (invalidJobs.length) {
+    console.log(`Dropped ${invalidJobs.length} jobs that do not fit the job schema`);
+  }
+  report.jobs = jobs;
+  report.jobsFound = jobs.length;
+  context.reportProgress('jobs-normalized', `Normalized ${jobs.length} jobs`, {
+    count: jobs.length,
+    invalid: invalidJobs.length,
+    schemaVersion: JOB_SCHEMA_VERSION
+  });
+
+  return { jobs };
+}
+
+module.exports = {
+  name: 'normalize',
+  inputs: ['jobs'],
+  outputs: ['jobs'],
+  run
+};
@@ -0,0 +1,33 @@
+const { getDefaultJobStore } = require('../job-store');
+
+// Upsert the extracted jobs into the persistent job store and flag the
+// postings that have never been seen before
+async function run(context) {
+  const { options, report } = context;
+  const { jobs } = context.state;
+  const jobStore = options.jobStore || getDefaultJobStore();
+
+  const seenAt = new Date().toISOString();
+  const entries = jobStore.upsertJobs(jobs, options.searchQuery, seenAt);
+  entries.forEach((entry, index) => {
+    Object.assign(jobs[index], entry);
+  });
+
+  const newJobs = entries.filter((entry) => entry.isNew).length;
+  report.store = {
+    path: jobStore.filePath,
+    newJobs,
+    knownJobs: entries.length - newJobs
+  };
+  console.log(`Job store: ${newJobs} new, ${entries.length - newJobs} already seen`);
+  context.reportProgress('jobs-stored', `${newJobs} new jobs stored`, report.store);
+
+  return { jobs };
+}
+
+module.exports = {
+  name: 'persist',
+  inputs: ['jobs'],
+  outputs: ['jobs'],
+  run
+};
@@ -0,0 +1,105 @@
+const { PROVIDERS, normalizeJob, matchesQuery, mergeProviderJobs } = require('../providers');
+const { hasFilters } = require('../filters');
+
+// Default cap on jobs taken from each HTTP provider
+const DEFAULT_PROVIDER_LIMIT = 50;
+
+// Fetch one HTTP provider and keep the first `limit` postings that match
+// the query. Providers without keyword search list every opening, so the
+// limit is applied here after matching rather than by the provider.
+// Returns the normalized jobs; failures are recorded, not thrown.
+async function runProvider(context, { name, options: providerOptions }) {
+  const { options } = context;
+  const provider = PROVIDERS[name];
+  const baseUrl = (options.providerBaseUrls && options.providerBaseUrls[name]) || provider.defaultBaseUrl;
+  const entry = { name, status: 'completed', fetched: 0, jobsFound: 0, durationMs: null, error: null };
+  const limit = options.maxJobs || (options.collect && options.collect.targetCount) || DEFAULT_PROVIDER_LIMIT;
+  const startedAt = Date.now();
+  let jobs = [];
+  try {
+    const raw = await provider.search({
+      query: options.searchQuery,
+      filters: options.filters,
+      limit,
+      baseUrl,
+      signal: context.signal,
+      options: providerOptions
+    });
+    entry.fetched = raw.length;
+    jobs = raw.map((job) => normalizeJob(job, name)).filter((job) => job.title);
+    if (!provider.keywordSearch) {
+      jobs = jobs.filter((job) => matchesQuery(job, options.searchQuery));
+    }
+    jobs = jobs.slice(0, limit);
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = error.message;
+    console.log(`Provider ${provider.label} failed: ${error.message}`);
+  }
+  entry.jobsFound = jobs.length;
+  entry.durationMs = Date.now() - startedAt;
+  return { entry, jobs };
+}
+
+// Run the selected HTTP providers side by side and merge their jobs with
+// the Google Jobs results (when that provider ran), dropping duplicates.
+// report.providers records how each provider did.
+async function run(context) {
+  const { options, report } = context;
+  const selected = options.providers;
+  const googleJobs = (context.state.jobs || []).map((job) => normalizeJob(job, 'google-jobs'));
+
+  const httpProviders = selected.filter(({ name }) => !PROVIDERS[name].usesBrowser);
+  const results = await Promise.all(httpProviders.map((provider) => runProvider(context, provider)));
+
+  const entries = [];
+  const lists = [];
+  selected.forEach(({ name }) => {
+    if (PROVIDERS[name].usesBrowser) {
+      // Timed by the browser stages themselves
+      entries.push({ name, status: 'completed', fetched: googleJobs.length, jobsFound: googleJobs.length, durationMs: null, error: null });
+      lists.push(googleJobs);
+    } else {
+      const result = results[httpProviders.findIndex((provider) => provider.name === name)];
+      entries.push(result.entry);
+      lists.push(result.jobs);
+    }
+  });
+  const merged = mergeProviderJobs(lists);
+  let { jobs } = merged;
+  const { duplicates } = merged;
+
+  report.providers = {
+    requested: selected.map(({ name }) => name),
+    results: entries,
+    duplicatesRemoved: duplicates
+  };
+  report.providers.results.forEach(({ name, status, jobsFound, error }) => {
+    console.log(`Provider ${PROVIDERS[name].label}: ${status === 'failed' ? `failed (${error})` : `${jobsFound} jobs`}`);
+  });
+  if (duplicates) {
+    console.log(`Merged ${duplicates} duplicate postings across providers`);
+  }
+
+  if (httpProviders.length === selected.length && results.every(({ entry }) => entry.status === 'failed')) {
+    throw new Error(`Every job provider failed: ${results.map(({ entry }) => `${entry.name}: ${entry.error}`).join('; ')}`);
+  }
+
+  // With filters set, the filter stage applies maxJobs after dropping misses
+  if (options.maxJobs && !hasFilters(options.filters) && jobs.length > options.maxJobs) {
+    console.log(`Keeping the first ${options.maxJobs} of ${jobs.length} jobs (maxJobs)`);
+    jobs = jobs.slice(0, options.maxJobs);
+  }
+  report.jobs = jobs;
+  report.jobsFound = jobs.length;
+  context.reportProgress('providers-merged', `${jobs.length} jobs from ${selected.length} providers`, report.providers);
+
+  return { jobs };
+}
+
+module.exports = {
+  name: 'providers',
+  inputs: [],
+  outputs: ['jobs'],
+  run
+};
@@ -0,0 +1,71 @@
+const { canonicalizeUrl, getLinkKey, createLinkResolver } = require('../links');
+const { mergeProviderJobs } = require('../providers');
+
+// Resolve every job's apply link to its canonical, final URL (see
+// lib/links.js) and label it employer / ATS / aggregator. Jobs without an
+// apply link keep it empty: the card link is not an apply link. Postings
+// that different sources list under the same apply URL are then merged.
+// Runs after the filter stage so dropped jobs cost no requests.
+// report.links records what was resolved and how much time it took.
+async function run(context) {
+  const { options, report } = context;
+  const startedAt = Date.now();
+  const resolver = createLinkResolver(options.linkResolution);
+
+  const resolved = [];
+  for (const job of context.state.jobs) {
+    const link = canonicalizeUrl(job.link) || job.link;
+    if (!job.applyLink) {
+      resolved.push({ ...job, link, sources: job.sources || [] });
+      continue;
+    }
+    const result = await resolver.resolve(job.applyLink, { signal: context.signal });
+    resolved.push({
+      ...job,
+      link: link || result.url,
+      applyLink: result.url,
+      applyLinkType: result.type,
+      originalApplyLink: job.applyLink !== result.url ? job.applyLink : null,
+      sources: job.sources || []
+    });
+  }
+
+  const resolvedCount = resolved.filter((job) => job.applyLink).length;
+  const { jobs, duplicates } = mergeProviderJobs([resolved], (job) => getLinkKey(job.applyLink));
+  const stats = resolver.getStats();
+  const byType = { employer: 0, ats: 0, aggregator: 0 };
+  jobs.forEach((job) => {
+    if (job.applyLinkType) {
+      byType[job.applyLinkType]++;
+    }
+  });
+  report.links = {
+    ...stats,
+    changed: resolved.filter((job) => job.originalApplyLink).length,
+    byType,
+    duplicatesRemoved: duplicates,
+    durationMs: Date.now() - startedAt
+  };
+  if (stats.budgetExhausted) {
+    console.log(`Link resolution budget used up; ${stats.skipped} links were not followed`);
+  }
+  if (duplicates) {
+    console.log(`Merged ${duplicates} postings sharing an apply link`);
+  }
+  report.jobs = jobs;
+  report.jobsFound = jobs.length;
+  context.reportProgress('links-resolved', `Resolved ${resolvedCount} apply links`, {
+    count: resolvedCount,
+    redirected: stats.redirected,
+    duplicatesRemoved: duplicates
+  });
+
+  return { jobs };
+}
+
+module.exports = {
+  name: 'resolve-links',
+  inputs: ['jobs'],
+  outputs: ['jobs'],
+  run
+};
@@ -0,0 +1,89 @@
+const { extractClassBasedJobs } = require('../extractors');
+const { scrollJobList } = require('../collection');
+const { getJobSignature } = require('../job-store');
+const { matchSelectorSet } = require('../selectors');
+
+// Deep-scroll the job list (when `options.collect` is set), reading the
+// cards after every round so jobs are kept even if the list recycles its
+// DOM nodes. Stops at the target count, the time budget, after
+// `maxIdleRounds` rounds without a new card, or after `maxRounds`.
+async function run(context) {
+  const { options, report } = context;
+  const { page } = context.state;
+  const { collect } = options;
+  if (!collect) {
+    return { scrolledJobs: [] };
+  }
+
+  const targetCount = collect.targetCount || options.maxJobs || null;
+  const collected = new Map();
+  const addJobs = (jobs) => {
+    let added = 0;
+    jobs.forEach((job) => {
+      const signature = getJobSignature(job);
+      if (!collected.has(signature)) {
+        collected.set(signature, job);
+        added += 1;
+      }
+    });
+    return added;
+  };
+
+  const { set: selectorSet } = await matchSelectorSet(page);
+  console.log(`Scrolling the job list to load more cards (selector set "${selectorSet.name}")...`);
+  addJobs(await page.evaluate(extractClassBasedJobs, selectorSet.fields));
+  const startedAt = Date.now();
+  let rounds = 0;
+  let idleRounds = 0;
+  let stopReason = null;
+  while (!stopReason) {
+    if (targetCount && collected.size >= targetCount) {
+      stopReason = 'target-reached';
+    } else if (Date.now() - startedAt >= collect.timeBudgetMs) {
+      stopReason = 'time-budget';
+    } else if (idleRounds >= collect.maxIdleRounds) {
+      stopReason = 'no-new-cards';
+    } else if (rounds >= collect.maxRounds) {
+      stopReason = 'max-rounds';
+    } else if (context.signal && context.signal.aborted) {
+      stopReason = 'cancelled';
+    }
+    if (stopReason) {
+      break;
+    }
+
+    rounds += 1;
+    await page.evaluate(scrollJobList, selectorSet.fields);
+    await page.waitForTimeout(1500 + Math.random() * 1000);
+    const added = addJobs(await page.evaluate(extractClassBasedJobs, selectorSet.fields));
+    idleRounds = added ? 0 : idleRounds + 1;
+    console.log(`Scroll round ${rounds}: ${added} new cards, ${collected.size} collected`);
+    context.reportProgress('scroll-round', `Scroll round ${rounds}: ${collected.size} cards collected`, {
+      round: rounds,
+      added,
+      collected: collected.size,
+      targetCount
+    });
+  }
+
+  report.collection = {
+    selectorSet: selectorSet.name,
+    rounds,
+    stopReason,
+    collected: collected.size,
+    targetCount,
+    timeBudgetMs: collect.timeBudgetMs,
+    maxIdleRounds: collect.maxIdleRounds,
+    durationMs: Date.now() - startedAt
+  };
+  console.log(`Stopped scrolling after ${rounds} rounds (${stopReason}), ${collected.size} cards collected`);
+
+  return { scrolledJobs: [...collected.values()] };
+}
+
+module.exports = {
+  name: 'scroll',
+  inputs: ['page'],
+  outputs: ['scrolledJobs'],
+  run
+};
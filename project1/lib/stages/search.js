@@ -0,0 +1,161 @@
+const { buildFilteredQuery } = require('../filters');
+const { checkForBlock, waitForSelectorOrBlock } = require('../blocking');
+const { buildGoogleUrl } = require('../network');
+
+// Open Google (the domain and gl/hl of `options.locale`), type the query like
+// a human would and list the result tabs.
+// Filters that Google understands as query text are appended to the query.
+async function run(context) {
+  const { options, report } = context;
+  const { page } = context.state;
+  const { query: searchQuery, upstream } = buildFilteredQuery(options.searchQuery, options.filters);
+  if (report.filters) {
+    report.filters.query = searchQuery;
+    report.filters.upstream.push(...upstream);
+  }
+
+  // Navigate to Google with realistic delay
+  console.log('Navigating to Google...');
+  context.reportProgress('navigating', 'Navigating to Google...');
+  await page.goto(buildGoogleUrl(options.locale), { 
+    waitUntil: 'domcontentloaded',
+    timeout: options.config.timeouts.navigationMs
+  });
+  
+  // Random delay to simulate human behavior
+  await page.waitForTimeout(1000 + Math.random() * 2000);
+  
+  // Accept cookies if the dialog appears
+  try {
+    await page.waitForSelector('button:has-text("Accept"), button:has-text("I agree"), #L2AGLb', { timeout: 3000 });
+    const acceptButton = await page.$('button:has-text("Accept"), button:has-text("I agree"), #L2AGLb');
+    if (acceptButton) {
+      await acceptButton.click();
+      await page.waitForTimeout(1000 + Math.random() * 1000);
+    }
+  } catch (e) {
+    // Cookie dialog might not appear, continue
+  }
+  await checkForBlock(context, page, 'open-google');
+  
+  // Perform search with more realistic typing
+  console.log(`Searching for: "${searchQuery}"`);
+  context.reportProgress('searching', `Searching for: "${searchQuery}"`, { searchQuery });
+  
+  // Wait for search box and type with random delays
+  await waitForSelectorOrBlock(context, page, 'textarea[name="q"], input[name="q"]', 'search-box');
+  await page.waitForTimeout(500 + Math.random() * 1000);
+  
+  // Type with more realistic delays (varying between characters)
+  const { minDelayMs, maxDelayMs } = options.config.typing;
+  for (const char of searchQuery) {
+    await page.type('textarea[name="q"], input[name="q"]', char, { 
+      delay: minDelayMs + Math.random() * (maxDelayMs - minDelayMs)
+    });
+  }
+  
+  // Wait a bit before pressing Enter (like a human would)
+  await page.waitForTimeout(500 + Math.random() * 1000);
+  await page.keyboard.press('Enter');
+  
+  // Wait for search results to load
+  await waitForSelectorOrBlock(context, page, '#search', 'search-results');
+  await page.waitForTimeout(2000); // Additional wait for results to fully load
+  
+  // Extract and list all available tabs in Google search
+  console.log('\n========================================');
+  console.log('AVAILABLE GOOGLE SEARCH TABS');
+  console.log('========================================');
+  const availableTabs = await page.evaluate(() => {
+    const tabs = [];
+    
+    // Try different selectors for tabs
+    const tabSelectors = [
+      '.hdtb-mitem a', // Standard tab links
+      'div[role="tab"] a', // Tab role elements
+      '.hdtbItm a', // Alternative tab class
+      'a[data-hveid]', // Links with data-hveid (Google's tracking)
+      '.hdtb-mitem', // Tab items
+      '[role="tab"]' // Role-based tabs
+    ];
+    
+    const seenTexts = new Set();
+    
+    for (const selector of tabSelectors) {
+      const elements = document.querySelectorAll(selector);
+      elements.forEach((element) => {
+        const text = element.innerText?.trim() || element.textContent?.trim() || '';
+        const href = element.href || element.getAttribute('href') || '';
+        const ariaLabel = element.getAttribute('aria-label') || '';
+        
+        if (text && text.length > 0 && text.length < 50 && !seenTexts.has(text.toLowerCase())) {
+          // Filter out common non-tab elements
+          const lowerText = text.toLowerCase();
+          if (!lowerText.includes('settings') && 
+              !lowerText.includes('tools') && 
+              !lowerText.includes('search') &&
+              !lowerText.includes('google')) {
+            seenTexts.add(text.toLowerCase());
+            tabs.push({
+              name: text,
+              href: href,
+              ariaLabel: ariaLabel || text
+            });
+          }
+        }
+      });
+    }
+    
+    // Also try to find tabs by common Google tab names using JavaScript filtering
+    const commonTabNames = ['All', 'Images', 'Videos', 'News', 'Shopping', 'Books', 'Flights', 'Finance', 'Jobs'];
+    commonTabNames.forEach(tabName => {
+      // Find all links and filter by text content
+      const allLinks = document.querySelectorAll('a, [role="tab"], [role="link"]');
+      allLinks.forEach(element => {
+        const text = element.innerText?.trim() || element.textContent?.trim() || '';
+        const ariaLabel = element.getAttribute('aria-label') || '';
+        
+        // Check if text or aria-label contains the tab name
+        if ((text.toLowerCase() === tabName.toLowerCase() || 
+             ariaLabel.toLowerCase().includes(tabName.toLowerCase())) &&
+            !seenTexts.has(text.toLowerCase()) && text.length > 0) {
+          const href = element.href || element.getAttribute('href') || '';
+          seenTexts.add(text.toLowerCase());
+          tabs.push({
+            name: text || tabName,
+            href: href,
+            ariaLabel: ariaLabel || text || tabName
+          });
+        }
+      });
+    });
+    
+    return tabs;
+  });
+  report.availableTabs = availableTabs;
+  context.reportProgress('tabs-found', `Found ${availableTabs.length} search tabs`, {
+    tabs: availableTabs.map((tab) => tab.name)
+  });
+  
+  if (availableTabs.length > 0) {
+    console.log(`Found ${availableTabs.length} tabs:\n`);
+    availableTabs.forEach((tab, index) => {
+      console.log(`${index + 1}. ${tab.name}`);
+      if (tab.href) {
+        console.log(`   Link: ${tab.href}`);
+      }
+    });
+  } else {
+    console.log('No tabs found. The page structure might be different.');
+  }
+  console.log('========================================\n');
+
+  return { availableTabs };
+}
+
+module.exports = {
+  name: 'search',
+  inputs: ['page'],
+  outputs: ['availableTabs'],
+  run
+};
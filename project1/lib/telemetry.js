@@ -0,0 +1,339 @@
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./job-store');
+
+const DEFAULT_TELEMETRY_PATH = path.join(DATA_DIR, 'telemetry.jsonl');
+// Job fields whose fill rate is tracked
+const FILL_FIELDS = ['company', 'location', 'description', 'applyLink'];
+// Runs kept on disk; older ones are dropped when the file is rewritten
+const MAX_RECORDS = 1000;
+// Baseline = average over this many earlier completed runs...
+const BASELINE_WINDOW = 20;
+// ...and only once at least this many exist
+const MIN_BASELINE_RUNS = 3;
+// A fill rate this far (absolute) below its baseline counts as drift
+const FILL_RATE_DROP = 0.3;
+// Fallback extraction is drift when the class-based extractor handled at
+// least this share of the baseline runs
+const CLASS_BASED_SHARE = 0.8;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Share of jobs with a non-empty value, per field (null without jobs)
+function computeFillRates(jobs) {
+  const rates = {};
+  FILL_FIELDS.forEach((field) => {
+    rates[field] = jobs.length
+      ? round(jobs.filter((job) => String(job[field] || '').trim()).length / jobs.length)
+      : null;
+  });
+  return rates;
+}
+
+// Runs are only compared with runs of the same saved search (else the same
+// query) over the same providers: another query or source legitimately
+// finds fewer jobs or fills fewer fields
+const getBaselineKey = (record) => [
+  record.savedSearchId || String(record.searchQuery || '').trim().toLowerCase(),
+  (record.providers || []).join(',')
+].join('|');
+
+// Compare a run with the baseline of earlier completed runs of its kind
+// (getBaselineKey). Returns one { field, baseline, current, message } entry
+// per sign of selector drift.
+function detectDrift(entry, history) {
+  const key = getBaselineKey(entry);
+  const baselineRuns = history
+    .filter((record) => record.status === 'completed' && getBaselineKey(record) === key)
+    .slice(-BASELINE_WINDOW);
+  if (entry.status !== 'completed' || baselineRuns.length < MIN_BASELINE_RUNS) {
+    return [];
+  }
+  const drift = [];
+
+  const baselineJobs = average(baselineRuns.map((record) => record.jobsFound));
+  if (entry.jobsFound === 0 && baselineJobs >= 1) {
+    drift.push({
+      field: 'jobsFound',
+      baseline: round(baselineJobs),
+      current: 0,
+      message: `No jobs extracted; recent runs averaged ${round(baselineJobs)}`
+    });
+  }
+
+  FILL_FIELDS.forEach((field) => {
+    const current = entry.fillRates[field];
+    const rates = baselineRuns
+      .map((record) => record.fillRates[field])
+      .filter((rate) => rate !== null && rate !== undefined);
+    if (current === null || rates.length < MIN_BASELINE_RUNS) {
+      return;
+    }
+    const baseline = average(rates);
+    if (baseline - current >= FILL_RATE_DROP) {
+      drift.push({
+        field,
+        baseline: round(baseline),
+        current,
+        message: `${field} fill rate fell from ${Math.round(baseline * 100)}% to ${Math.round(current * 100)}%`
+      });
+    }
+  });
+
+  const classBasedShare = average(baselineRuns.map((record) => (record.extractor === 'classBased' ? 1 : 0)));
+  if (entry.extractor === 'fallback' && classBasedShare >= CLASS_BASED_SHARE) {
+    drift.push({
+      field: 'extractor',
+      baseline: round(classBasedShare),
+      current: 0,
+      message: 'Selector set stopped matching; the fallback extractor was used'
+    });
+  }
+  return drift;
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Prometheus text exposition format, built from metric families
+// { name, help, type, samples: [{ labels, value, suffix }] }
+function formatPrometheus(families) {
+  const lines = [];
+  families.forEach(({ name, help, type, samples }) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    samples.forEach(({ labels = {}, value, suffix = '' }) => {
+      const labelText = Object.entries(labels)
+        .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+        .join(',');
+      lines.push(`${name}${suffix}${labelText ? `{${labelText}}` : ''} ${value}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Run totals for the Prometheus counters, added to per recorded run
+function countRun(counters, record) {
+  const increment = (group, key) => {
+    if (key) {
+      counters[group][key] = (counters[group][key] || 0) + 1;
+    }
+  };
+  increment('status', record.status);
+  increment('extractor', record.extractor);
+  increment('selectorSet', record.selectorSet);
+  Object.entries(record.stageDurations || {}).forEach(([stage, durationMs]) => {
+    const totals = counters.stages[stage] || { sum: 0, count: 0 };
+    totals.sum += durationMs / 1000;
+    totals.count += 1;
+    counters.stages[stage] = totals;
+  });
+  return counters;
+}
+
+const emptyCounters = () => ({ status: {}, extractor: {}, selectorSet: {}, stages: {} });
+
+// Extraction health of every run in a JSON-lines file, one record per run:
+//   { runId, savedSearchId, searchQuery, providers, status, error,
+//     recordedAt, jobsFound, extractor, selectorSet, fillRates,
+//     stageDurations, drift }
+// Drift is judged against the runs recorded before it. Only the latest
+// `maxRecords` runs are kept, so the metric counters live in a separate
+// JSON file (`countersPath`) that keeps growing; it starts from the
+// retained history when missing.
+function createTelemetryStore(filePath = DEFAULT_TELEMETRY_PATH, {
+  maxRecords = MAX_RECORDS,
+  countersPath = filePath.replace(/\.jsonl$/, '') + '.counters.json'
+} = {}) {
+  let records = null;
+  let counters = null;
+
+  const load = () => {
+    if (records) {
+      return records;
+    }
+    records = [];
+    if (fs.existsSync(filePath)) {
+      fs.readFileSync(filePath, 'utf8').split('\n').forEach((line) => {
+        if (!line.trim()) {
+          return;
+        }
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          console.log(`Skipping unreadable telemetry line: ${error.message}`);
+        }
+      });
+    }
+    return records;
+  };
+
+  const loadCounters = () => {
+    if (counters) {
+      return counters;
+    }
+    if (fs.existsSync(countersPath)) {
+      try {
+        counters = { ...emptyCounters(), ...JSON.parse(fs.readFileSync(countersPath, 'utf8')) };
+        return counters;
+      } catch (error) {
+        console.log(`Rebuilding unreadable telemetry counters: ${error.message}`);
+      }
+    }
+    counters = load().reduce(countRun, emptyCounters());
+    return counters;
+  };
+
+  const writeFile = (target, content) => {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tempPath = `${target}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, target);
+  };
+
+  const save = () => {
+    writeFile(filePath, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+    writeFile(countersPath, `${JSON.stringify(counters, null, 2)}\n`);
+  };
+
+  // Record a finished run from its report. `status` is "completed" or
+  // "failed". Returns the stored entry (with any drift found).
+  const recordRun = (report, { status = 'completed', error = null } = {}) => {
+    const history = load();
+    loadCounters();
+    const stageDurations = {};
+    (report.stages || []).forEach((stage) => {
+      if (stage.durationMs !== null) {
+        stageDurations[stage.name] = stage.durationMs;
+      }
+    });
+    const entry = {
+      runId: report.runId,
+      savedSearchId: report.savedSearchId || null,
+      searchQuery: report.searchQuery,
+      providers: report.providers ? [...report.providers.requested].sort() : null,
+      status,
+      error,
+      recordedAt: new Date().toISOString(),
+      jobsFound: report.jobsFound || 0,
+      extractor: report.extractor || null,
+      selectorSet: report.selectorSet ? report.selectorSet.name : null,
+      // From the extract stage; runs without Google extraction have none
+      fillRates: report.extractionFillRates || computeFillRates([]),
+      stageDurations
+    };
+    entry.drift = detectDrift(entry, history);
+    entry.drift.forEach((item) => console.log(`Extraction drift: ${item.message}`));
+
+    history.push(entry);
+    countRun(counters, entry);
+    history.splice(0, Math.max(0, history.length - maxRecords));
+    save();
+    return entry;
+  };
+
+  // Most recent runs first
+  const listRuns = (limit = 50) => [...load()].reverse().slice(0, limit);
+
+  const getLatest = () => {
+    const history = load();
+    return history.length ? history[history.length - 1] : null;
+  };
+
+  // Counters and the stage summary come from the persisted totals, gauges
+  // from the latest runs
+  const renderPrometheus = () => {
+    const history = load();
+    const totals = loadCounters();
+    const completed = history.filter((record) => record.status === 'completed');
+    const lastCompleted = completed[completed.length - 1] || null;
+    const latest = getLatest();
+    const driftFields = new Set((latest ? latest.drift : []).map((item) => item.field));
+
+    return formatPrometheus([
+      {
+        name: 'job_search_runs_total',
+        help: 'Recorded runs by status',
+        type: 'counter',
+        samples: Object.entries(totals.status).map(([status, value]) => ({ labels: { status }, value }))
+      },
+      {
+        name: 'job_search_extractor_runs_total',
+        help: 'Recorded runs by the extractor that produced the jobs',
+        type: 'counter',
+        samples: Object.entries(totals.extractor).map(([extractor, value]) => ({ labels: { extractor }, value }))
+      },
+      {
+        name: 'job_search_selector_set_runs_total',
+        help: 'Recorded runs by matched selector set',
+        type: 'counter',
+        samples: Object.entries(totals.selectorSet).map(([set, value]) => ({ labels: { set }, value }))
+      },
+      {
+        name: 'job_search_last_run_timestamp_seconds',
+        help: 'When the latest run was recorded',
+        type: 'gauge',
+        samples: latest ? [{ value: Math.floor(Date.parse(latest.recordedAt) / 1000) }] : []
+      },
+      {
+        name: 'job_search_last_run_jobs_found',
+        help: 'Jobs extracted by the latest completed run',
+        type: 'gauge',
+        samples: lastCompleted ? [{ value: lastCompleted.jobsFound }] : []
+      },
+      {
+        name: 'job_search_field_fill_rate',
+        help: 'Share of extracted jobs with the field filled in the latest completed run',
+        type: 'gauge',
+        samples: lastCompleted
+          ? FILL_FIELDS
+            .filter((field) => lastCompleted.fillRates[field] !== null)
+            .map((field) => ({ labels: { field }, value: lastCompleted.fillRates[field] }))
+          : []
+      },
+      {
+        name: 'job_search_stage_duration_seconds',
+        help: 'Stage durations over recorded runs',
+        type: 'summary',
+        samples: Object.entries(totals.stages).flatMap(([stage, { sum, count }]) => [
+          { labels: { stage }, value: round(sum), suffix: '_sum' },
+          { labels: { stage }, value: count, suffix: '_count' }
+        ])
+      },
+      {
+        name: 'job_search_drift',
+        help: 'Whether the latest run shows drift for the field (1) or not (0)',
+        type: 'gauge',
+        samples: ['jobsFound', ...FILL_FIELDS, 'extractor'].map((field) => ({
+          labels: { field },
+          value: driftFields.has(field) ? 1 : 0
+        }))
+      }
+    ]);
+  };
+
+  return {
+    filePath,
+    recordRun,
+    listRuns,
+    getLatest,
+    renderPrometheus
+  };
+}
+
+let defaultTelemetry = null;
+function getDefaultTelemetry() {
+  if (!defaultTelemetry) {
+    defaultTelemetry = createTelemetryStore();
+  }
+  return defaultTelemetry;
+}
+
+module.exports = {
+  FILL_FIELDS,
+  computeFillRates,
+  getBaselineKey,
+  detectDrift,
+  createTelemetryStore,
+  getDefaultTelemetry
+};
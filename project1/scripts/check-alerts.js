@@ -0,0 +1,200 @@
+// Deliver new-job alerts (lib/alerts.js) to a local webhook server and a
+// minimal SMTP stand-in, then check what arrived and what was recorded on
+// the saved search.
+//
+// Usage:
+//   node scripts/check-alerts.js [--json]
+//
+// Cases: a webhook that fails twice with 503 before accepting (retried), a
+// webhook that answers 400 (not retried), an accepted email and an email
+// whose recipient is refused with 550 (not retried). Exits non-zero when any
+// check fails. Nothing leaves the machine; the saved search lives in a temp
+// directory that is removed afterwards.
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const net = require('net');
+const { createSavedSearchStore } = require('../lib/saved-searches');
+const { createAlertNotifier } = require('../lib/alerts');
+
+// Webhook requests answered with 503 before the retrying endpoint accepts
+const WEBHOOK_FAILURES = 2;
+const REJECTED_RECIPIENT = 'nobody@rejected.example';
+const JOBS = [
+  { title: 'Senior Software Engineer', company: 'Acme', location: 'Colombo', applyLink: 'https://acme.example/jobs/1', isNewForQuery: true },
+  { title: 'QA Engineer', company: 'Acme', location: 'Colombo', applyLink: 'https://acme.example/jobs/2', isNewForQuery: false }
+];
+
+const listen = (server) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+const close = (server) => new Promise((resolve) => server.close(() => resolve()));
+
+// Webhook receiver: /flaky fails WEBHOOK_FAILURES times, /reject always
+// answers 400. Every request is kept in `requests`.
+function startWebhookServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ path: req.url, body });
+      const attempt = requests.filter((request) => request.path === req.url).length;
+      if (req.url === '/reject') {
+        res.writeHead(400).end();
+      } else if (attempt <= WEBHOOK_FAILURES) {
+        res.writeHead(503).end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+      }
+    });
+  });
+  return listen(server).then((port) => ({ requests, baseUrl: `http://127.0.0.1:${port}`, close: () => close(server) }));
+}
+
+// Just enough SMTP for nodemailer: accepts every message except those to
+// REJECTED_RECIPIENT, and keeps { from, to, data } of each one in `messages`
+function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    let inData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 localhost check-alerts SMTP');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            reply('250 OK: queued');
+          } else {
+            message.data += `${line.replace(/^\./, '')}\n`;
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          message = { from: line.slice(10).trim(), to: [], data: '' };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const recipient = line.slice(8).trim().replace(/^<|>$/g, '');
+          if (recipient === REJECTED_RECIPIENT) {
+            reply('550 No such user');
+          } else {
+            message.to.push(recipient);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return listen(server).then((port) => ({ messages, port, close: () => close(server) }));
+}
+
+async function main() {
+  const json = process.argv.includes('--json');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-alerts-'));
+  const webhook = await startWebhookServer();
+  const smtp = await startSmtpServer();
+
+  let failures = 0;
+  const check = (name, ok, detail) => {
+    if (ok) {
+      console.log(`PASS ${name}`);
+    } else {
+      failures++;
+      console.log(`FAIL ${name}: ${detail}`);
+    }
+  };
+
+  let deliveries = [];
+  let recorded = [];
+  try {
+    const savedSearches = createSavedSearchStore(path.join(tempDir, 'saved-searches.json'));
+    const notifier = createAlertNotifier({
+      savedSearches,
+      smtp: { host: '127.0.0.1', port: smtp.port, secure: false, from: 'alerts@job-search.example' },
+      attempts: 4,
+      baseDelayMs: 10
+    });
+    const run = { id: 'check-run', status: 'completed', result: { jobs: JOBS } };
+    const deliver = (name, alerts) => notifier.notifyRun(savedSearches.create({ name, query: 'software engineer', alerts }), run);
+
+    const [flaky] = await deliver('webhook-retry', { webhookUrl: `${webhook.baseUrl}/flaky` });
+    const [rejected] = await deliver('webhook-rejected', { webhookUrl: `${webhook.baseUrl}/reject` });
+    const [email] = await deliver('email', { emailTo: ['alerts@example.com'] });
+    const [refused] = await deliver('email-refused', { emailTo: [REJECTED_RECIPIENT] });
+    deliveries = [flaky, rejected, email, refused];
+
+    const flakyRequests = webhook.requests.filter((request) => request.path === '/flaky');
+    const payload = JSON.parse(flakyRequests[flakyRequests.length - 1].body);
+    check('webhook retried until delivered',
+      flaky.status === 'delivered' && flaky.attempts === WEBHOOK_FAILURES + 1 && flakyRequests.length === WEBHOOK_FAILURES + 1,
+      `${flaky.status} after ${flaky.attempts} attempts (${flakyRequests.length} requests)`);
+    check('webhook payload holds only new jobs',
+      payload.jobCount === 1 && payload.jobs[0].title === JOBS[0].title && payload.runId === run.id,
+      JSON.stringify(payload));
+
+    const rejectedRequests = webhook.requests.filter((request) => request.path === '/reject');
+    check('webhook 400 is not retried',
+      rejected.status === 'failed' && rejected.attempts === 1 && rejectedRequests.length === 1,
+      `${rejected.status} after ${rejected.attempts} attempts (${rejectedRequests.length} requests)`);
+
+    const received = smtp.messages.find((message) => message.to.includes('alerts@example.com'));
+    check('email delivered',
+      email.status === 'delivered' && Boolean(received) &&
+        received.data.includes('1 new job for "email"') && received.data.includes(JOBS[0].title),
+      `${email.status}${email.error ? ` (${email.error})` : ''}, ${smtp.messages.length} messages received`);
+    check('refused recipient is not retried',
+      refused.status === 'failed' && refused.attempts === 1,
+      `${refused.status} after ${refused.attempts} attempts`);
+
+    recorded = savedSearches.list().map((search) => ({ name: search.name, alertDeliveries: search.alertDeliveries }));
+    check('deliveries recorded on their saved searches',
+      recorded.every(({ alertDeliveries }, index) => alertDeliveries.length === 1 &&
+        alertDeliveries[0].status === deliveries[index].status &&
+        alertDeliveries[0].runId === run.id && alertDeliveries[0].jobCount === 1),
+      JSON.stringify(recorded));
+  } finally {
+    await webhook.close();
+    await smtp.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ deliveries, recorded }, null, 2));
+  }
+  return failures ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('Alert check failed:', error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,245 @@
+// Check the text parsers, link helpers, job normalization and config
+// loaders that need no browser against known inputs, so `npm test` covers
+// them where Chrome is missing and the fixture check is skipped.
+//
+// Usage:
+//   node scripts/check-parsers.js [--json]
+//
+// Each case runs a parser on one input and compares the result with the
+// expected value; the script exits non-zero on any difference.
+
+const fs = require('fs');
+const { parseSalary, parsePostedDate, parseLocation, applyJobSchema, validateJob } = require('../lib/job-schema');
+const { canonicalizeUrl, classifyLink, getLinkKey } = require('../lib/links');
+const { normalizeJob } = require('../lib/providers');
+const { DEFAULT_SELECTORS_PATH, validateSelectorConfig } = require('../lib/selectors');
+
+// Relative posted dates count from here
+const NOW = Date.parse('2026-10-19T00:00:00.000Z');
+
+const readSelectorConfig = () => JSON.parse(fs.readFileSync(DEFAULT_SELECTORS_PATH, 'utf8'));
+
+const pick = (object, fields) => Object.fromEntries(fields.map((field) => [field, object[field]]));
+
+// A provider posting as normalizeJob returns it, before the job schema
+const leverJob = () => normalizeJob({
+  title: '  Senior  Engineer ',
+  company: 'Acme\n',
+  applyLink: 'https://jobs.lever.co/acme/1',
+  postedAt: '2026-10-01',
+  tags: [' Full-time ', '']
+}, 'lever');
+
+// Error code thrown by `fn`, or null when it does not throw
+function errorCode(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.code || error.message;
+  }
+}
+
+const CASES = [
+  // Real salary formats
+  {
+    name: 'salary: LKR range a month',
+    actual: () => parseSalary('LKR 350,000–450,000 a month'),
+    expected: { min: 350000, max: 450000, currency: 'LKR', period: 'month', text: 'LKR 350,000–450,000' }
+  },
+  {
+    name: 'salary: Rs. with k',
+    actual: () => parseSalary('Rs. 80k'),
+    expected: { min: 80000, max: 80000, currency: 'LKR', period: null, text: 'Rs. 80k' }
+  },
+  {
+    name: 'salary: dollar range per year',
+    actual: () => parseSalary('$80k - $100k per year'),
+    expected: { min: 80000, max: 100000, currency: 'USD', period: 'year', text: '$80k - $100k' }
+  },
+  {
+    name: 'salary: trailing currency',
+    actual: () => parseSalary('150-200K LKR monthly'),
+    expected: { min: 150000, max: 200000, currency: 'LKR', period: 'month', text: '150-200K LKR' }
+  },
+  // Words ending in "rs" and bare numbers are not salaries
+  {
+    name: 'salary: "engineers 5 days a week"',
+    actual: () => parseSalary('Join our team of engineers 5 days a week'),
+    expected: null
+  },
+  {
+    name: 'salary: "developers 3+ years"',
+    actual: () => parseSalary('Looking for developers 3+ years'),
+    expected: null
+  },
+  {
+    name: 'salary: "Hours 9-5"',
+    actual: () => parseSalary('Hours 9-5'),
+    expected: null
+  },
+  {
+    name: 'salary: bare amount',
+    actual: () => parseSalary('Team of 50000 people'),
+    expected: null
+  },
+  // Posted dates and locations
+  {
+    name: 'posted: days ago',
+    actual: () => parsePostedDate('3 days ago', NOW),
+    expected: '2026-10-16T00:00:00.000Z'
+  },
+  {
+    name: 'posted: yesterday',
+    actual: () => parsePostedDate('yesterday', NOW),
+    expected: '2026-10-18T00:00:00.000Z'
+  },
+  {
+    name: 'posted: no text',
+    actual: () => parsePostedDate('', NOW),
+    expected: null
+  },
+  {
+    name: 'location: city, province, country',
+    actual: () => parseLocation('Colombo, Western Province, Sri Lanka'),
+    expected: { city: 'Colombo', country: 'Sri Lanka' }
+  },
+  {
+    name: 'location: remote in a country',
+    actual: () => parseLocation('Remote - Sri Lanka'),
+    expected: { city: null, country: 'Sri Lanka' }
+  },
+  // Link helpers (lib/links.js)
+  {
+    name: 'links: Google redirect unwrapped and tracking removed',
+    actual: () => canonicalizeUrl('https://www.google.com/url?q=https%3A%2F%2Fwso2.com%2Fcareers%2Fse%2F%3Futm_source%3Dgoogle_jobs_apply&sa=U&ved=2ahUKEwi'),
+    expected: 'https://wso2.com/careers/se/'
+  },
+  {
+    name: 'links: ATS tracking parameters removed',
+    actual: () => canonicalizeUrl('https://boards.greenhouse.io/acme/jobs/1?gh_src=google&utm_medium=x'),
+    expected: 'https://boards.greenhouse.io/acme/jobs/1'
+  },
+  {
+    name: 'links: Google parameters and text fragment removed from Google URLs',
+    actual: () => canonicalizeUrl('https://www.google.com/search?q=engineer&ved=abc&ei=x#:~:text=a'),
+    expected: 'https://www.google.com/search?q=engineer'
+  },
+  {
+    name: 'links: Google parameter names kept on other sites',
+    actual: () => canonicalizeUrl('https://example.com/jobs?sa=1&ved=2'),
+    expected: 'https://example.com/jobs?sa=1&ved=2'
+  },
+  {
+    name: 'links: link types',
+    actual: () => [
+      'https://jobs.lever.co/acme/1',
+      'https://lk.linkedin.com/jobs/view/1',
+      'https://www.google.com/search?q=x',
+      'https://careers.acme.com/1',
+      ''
+    ].map(classifyLink),
+    expected: ['ats', 'aggregator', 'aggregator', 'employer', null]
+  },
+  {
+    name: 'links: dedupe key ignores www, case and trailing slash',
+    actual: () => getLinkKey('https://WWW.Acme.com/Jobs/1/?a=1'),
+    expected: 'acme.com/jobs/1?a=1'
+  },
+  {
+    name: 'links: Google pages have no dedupe key',
+    actual: () => [getLinkKey('https://www.google.com/search?q=x'), getLinkKey('')],
+    expected: [null, null]
+  },
+  // Job normalization (lib/providers normalizeJob, lib/job-schema.js)
+  {
+    name: 'normalize: provider job cleaned up',
+    actual: () => leverJob(),
+    expected: {
+      title: 'Senior Engineer',
+      company: 'Acme',
+      location: '',
+      description: '',
+      link: 'https://jobs.lever.co/acme/1',
+      applyLink: 'https://jobs.lever.co/acme/1',
+      postedAt: '2026-10-01T00:00:00.000Z',
+      postedText: '',
+      tags: ['Full-time'],
+      source: 'lever',
+      sources: ['lever']
+    }
+  },
+  {
+    name: 'normalize: job schema fields parsed',
+    actual: () => pick(
+      applyJobSchema({ ...leverJob(), description: 'LKR 300,000 a month' }, { now: NOW }),
+      ['applyLinkType', 'salary', 'employmentType', 'seniority', 'postedText']
+    ),
+    expected: {
+      applyLinkType: 'ats',
+      salary: { min: 300000, max: 300000, currency: 'LKR', period: 'month', text: 'LKR 300,000' },
+      employmentType: 'full-time',
+      seniority: 'senior',
+      postedText: null
+    }
+  },
+  {
+    name: 'normalize: valid job passes validation',
+    actual: () => validateJob(applyJobSchema(leverJob(), { now: NOW })),
+    expected: []
+  },
+  {
+    name: 'normalize: job without a title fails validation',
+    actual: () => validateJob(applyJobSchema({ ...leverJob(), title: ' ' }, { now: NOW })),
+    expected: ['title is empty']
+  },
+  // Selector config (config/selectors.json)
+  {
+    name: 'selectors: shipped config is valid',
+    actual: () => errorCode(() => validateSelectorConfig(readSelectorConfig())),
+    expected: null
+  },
+  {
+    name: 'selectors: fallback set is required',
+    actual: () => errorCode(() => validateSelectorConfig({ ...readSelectorConfig(), fallback: undefined })),
+    expected: 'INVALID_SELECTOR_CONFIG'
+  },
+  {
+    name: 'selectors: fallback field must not be empty',
+    actual: () => errorCode(() => {
+      const config = readSelectorConfig();
+      config.fallback.fields.resultContainer = [];
+      validateSelectorConfig(config);
+    }),
+    expected: 'INVALID_SELECTOR_CONFIG'
+  }
+];
+
+function main() {
+  const json = process.argv.includes('--json');
+  let failures = 0;
+  const results = CASES.map(({ name, actual, expected }) => {
+    let value;
+    try {
+      value = actual();
+    } catch (error) {
+      value = { error: error.message };
+    }
+    const passed = JSON.stringify(value) === JSON.stringify(expected);
+    if (passed) {
+      console.log(`PASS ${name}`);
+    } else {
+      failures++;
+      console.log(`FAIL ${name}`);
+      console.log(`  Expected: ${JSON.stringify(expected)}`);
+      console.log(`  Actual  : ${JSON.stringify(value)}`);
+    }
+    return { name, passed, actual: value };
+  });
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+  return failures ? 1 : 0;
+}
+
+process.exitCode = main();
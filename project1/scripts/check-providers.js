@@ -0,0 +1,135 @@
+// Run the HTTP job providers against saved responses served by a local
+// fixture server (lib/providers/fixture-server.js).
+//
+// Usage:
+//   node scripts/check-providers.js [provider ...] [--json] [--update]
+//
+// Each provider is searched on its own and then all of them together (the
+// "merged" case, which exercises deduplication, and the "limited" case,
+// which caps every provider at LIMIT jobs). The jobs are compared with
+// fixtures/providers/<case>.expected.json and the script exits non-zero on
+// any difference. `--update` rewrites the expected files. The server's
+// address in job links is replaced by FIXTURE_SERVER_URL so the expected
+// files do not depend on the port.
+
+const path = require('path');
+const fs = require('fs');
+const { openChromeAndSearch } = require('../index');
+const { PROVIDERS } = require('../lib/providers');
+const { PROVIDER_FIXTURES_DIR, startProviderFixtureServer } = require('../lib/providers/fixture-server');
+
+const QUERY = 'software engineer jobs in Colombo';
+const FIXTURE_SERVER_URL = 'http://fixture-server';
+// maxJobs of the "limited" case; below every provider's fixture job count
+const LIMIT = 1;
+// Provider options matching the saved responses
+const PROVIDER_OPTIONS = {
+  greenhouse: { boards: ['acme'] },
+  lever: { sites: ['acme'] }
+};
+const HTTP_PROVIDERS = Object.values(PROVIDERS)
+  .filter((provider) => !provider.usesBrowser)
+  .map((provider) => provider.name);
+
+function parseArgs(argv) {
+  const args = {
+    providers: [],
+    json: false,
+    update: false
+  };
+  for (const arg of argv) {
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--update') {
+      args.update = true;
+    } else {
+      args.providers.push(arg);
+    }
+  }
+  const unknown = args.providers.find((name) => !HTTP_PROVIDERS.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown HTTP provider "${unknown}" (expected one of: ${HTTP_PROVIDERS.join(', ')})`);
+  }
+  if (!args.providers.length) {
+    args.providers = HTTP_PROVIDERS;
+  }
+  return args;
+}
+
+const toProviderEntry = (name) => ({ name, ...(PROVIDER_OPTIONS[name] || {}) });
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const server = await startProviderFixtureServer();
+  const providerBaseUrls = {};
+  HTTP_PROVIDERS.forEach((name) => {
+    providerBaseUrls[name] = server.baseUrl;
+  });
+
+  const cases = args.providers.map((name) => ({ name, providers: [name] }));
+  if (args.providers.length > 1) {
+    cases.push({ name: 'merged', providers: args.providers });
+    cases.push({ name: 'limited', providers: args.providers, maxJobs: LIMIT });
+  }
+
+  let failures = 0;
+  const reports = [];
+  try {
+    for (const testCase of cases) {
+      const report = await openChromeAndSearch({
+        searchQuery: QUERY,
+        providers: testCase.providers.map(toProviderEntry),
+        providerBaseUrls,
+        maxJobs: testCase.maxJobs,
+        summaryOnly: true,
+        keepBrowserOpenMs: 0,
+        skipStages: ['persist'],
+        telemetry: false
+      });
+      const jobs = JSON.parse(JSON.stringify(report.jobs).split(server.baseUrl).join(FIXTURE_SERVER_URL));
+      reports.push({ case: testCase.name, providers: report.providers, jobs });
+
+      const expectedPath = path.join(PROVIDER_FIXTURES_DIR, `${testCase.name}.expected.json`);
+      const failed = report.providers.results.filter((result) => result.status === 'failed');
+      const overLimit = report.providers.results.filter((result) => testCase.maxJobs && result.jobsFound > testCase.maxJobs);
+      if (failed.length) {
+        failures++;
+        console.log(`FAIL ${testCase.name}: ${failed.map((result) => `${result.name}: ${result.error}`).join('; ')}`);
+      } else if (overLimit.length) {
+        failures++;
+        console.log(`FAIL ${testCase.name}: over the limit of ${testCase.maxJobs}: ${overLimit.map((result) => `${result.name} kept ${result.jobsFound}`).join('; ')}`);
+      } else if (args.update) {
+        fs.writeFileSync(expectedPath, `${JSON.stringify(jobs, null, 2)}\n`);
+        console.log(`UPDATED ${path.basename(expectedPath)} (${jobs.length} jobs)`);
+      } else if (fs.existsSync(expectedPath)) {
+        const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        if (JSON.stringify(jobs) === JSON.stringify(expected)) {
+          console.log(`PASS ${testCase.name} (${jobs.length} jobs)`);
+        } else {
+          failures++;
+          console.log(`FAIL ${testCase.name}: expected ${expected.length} jobs, got ${jobs.length}`);
+          console.log(`  Expected: ${JSON.stringify(expected)}`);
+          console.log(`  Actual  : ${JSON.stringify(jobs)}`);
+        }
+      } else {
+        console.log(`${testCase.name}: ${jobs.length} jobs (no expected file)`);
+      }
+    }
+  } finally {
+    await server.close();
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  }
+  return failures ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('Provider check failed:', error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,117 @@
+// Run the job extractors against saved Google Jobs HTML snapshots.
+//
+// Usage:
+//   node scripts/extract-fixtures.js [file.html ...] [--json] [--update] [--require-chrome]
+//
+// Without file arguments every snapshot in fixtures/ is used. When a
+// `<name>.expected.json` file sits next to a snapshot, the extracted jobs are
+// compared with it and the script exits non-zero on any difference, so the
+// captured pages double as a regression suite. `--update` rewrites the
+// expected files from the current extractor output. Replays need Chrome;
+// without one the script says so and skips (exit 0) unless
+// `--require-chrome` is given.
+
+const path = require('path');
+const fs = require('fs');
+const { openChromeAndSearch } = require('../index');
+const { FIXTURES_DIR, listFixtures, getExpectedJobsPath } = require('../lib/fixtures');
+const { getChromePath } = require('../lib/browser');
+
+function parseArgs(argv) {
+  const args = {
+    files: [],
+    json: false,
+    update: false,
+    requireChrome: false
+  };
+  for (const arg of argv) {
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--update') {
+      args.update = true;
+    } else if (arg === '--require-chrome') {
+      args.requireChrome = true;
+    } else {
+      args.files.push(path.resolve(arg));
+    }
+  }
+  if (!args.files.length) {
+    args.files = listFixtures().map((name) => path.join(FIXTURES_DIR, name));
+  }
+  return args;
+}
+
+// Index of the first job that differs, or -1 when both lists match
+function findFirstDifference(actual, expected) {
+  const length = Math.max(actual.length, expected.length);
+  for (let index = 0; index < length; index++) {
+    if (JSON.stringify(actual[index]) !== JSON.stringify(expected[index])) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.files.length) {
+    console.log(`No fixtures found in ${FIXTURES_DIR}`);
+    return 0;
+  }
+
+  if (!getChromePath()) {
+    console.log(`SKIP ${args.files.length} fixtures: Chrome not found (set CHROME_PATH)`);
+    return args.requireChrome ? 1 : 0;
+  }
+
+  let failures = 0;
+  const reports = [];
+  for (const fixturePath of args.files) {
+    if (!fs.existsSync(fixturePath)) {
+      console.error(`Fixture not found: ${fixturePath}`);
+      failures++;
+      continue;
+    }
+
+    const report = await openChromeAndSearch({
+      fixturePath,
+      summaryOnly: true,
+      keepBrowserOpenMs: 0
+    });
+    reports.push(report);
+
+    const expectedPath = getExpectedJobsPath(fixturePath);
+    if (args.update) {
+      fs.writeFileSync(expectedPath, `${JSON.stringify(report.jobs, null, 2)}\n`);
+      console.log(`UPDATED ${path.basename(expectedPath)} (${report.jobs.length} jobs)`);
+    } else if (fs.existsSync(expectedPath)) {
+      const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+      const diffIndex = findFirstDifference(report.jobs, expected);
+      if (diffIndex === -1) {
+        console.log(`PASS ${path.basename(fixturePath)} (${report.jobs.length} jobs)`);
+      } else {
+        failures++;
+        console.log(`FAIL ${path.basename(fixturePath)}: expected ${expected.length} jobs, got ${report.jobs.length}`);
+        console.log(`  First difference at job #${diffIndex + 1}`);
+        console.log(`  Expected: ${JSON.stringify(expected[diffIndex] || null)}`);
+        console.log(`  Actual  : ${JSON.stringify(report.jobs[diffIndex] || null)}`);
+      }
+    } else {
+      console.log(`${path.basename(fixturePath)}: ${report.jobs.length} jobs (no expected file)`);
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports.map(({ fixture, jobs, jobsFound }) => ({ fixture, jobsFound, jobs })), null, 2));
+  }
+  return failures ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('Fixture extraction failed:', error.message);
+    process.exitCode = 1;
+  });